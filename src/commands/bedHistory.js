@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Bed Change History
+ * ------------------
+ * Shows field-level bed changes recorded by npm start (acres, variety,
+ * plant date, fruit types...) for a contract, farm, bed or fetch run
+ * Usage:
+ *   npm run bed-history -- --contract 0781502
+ *   npm run bed-history -- --farm "Smith Cranberry"   (name or farm id)
+ *   npm run bed-history -- --bed 123456               (api_bed_history_id)
+ *   npm run bed-history -- --run <run id> --year 2025 --limit 50
+ */
+
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { buildFilters, parseYear } from '../lib/bedReports.js';
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = '   Options: --contract <number> --farm <name|id> --bed <api_bed_history_id> --run <id> --year <yyyy> --limit <n>\n';
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        contract: { type: 'string' },
+        farm: { type: 'string' },
+        bed: { type: 'string' },
+        run: { type: 'string' },
+        year: { type: 'string' },
+        limit: { type: 'string', default: '500' },
+      },
+    });
+    if (!/^[1-9]\d*$/.test(values.limit)) {
+      throw new Error(`--limit must be a positive whole number, got "${values.limit}"`);
+    }
+    if (values.bed !== undefined && !/^[1-9]\d*$/.test(values.bed)) {
+      throw new Error(`--bed must be an api_bed_history_id (a positive whole number), got "${values.bed}"`);
+    }
+    if (values.run !== undefined && !/^[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}$/i.test(values.run)) {
+      throw new Error(`--run must be a fetch run id (UUID), got "${values.run}"`);
+    }
+    return { ...values, limit: Number(values.limit), year: parseYear(values.year) };
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+}
+
+/**
+ * Build "AND ..." conditions for the --bed and --run filters, pushing their
+ * values onto `params`
+ */
+function buildHistoryFilters(options, params) {
+  const conditions = [];
+
+  if (options.bed) {
+    params.push(Number(options.bed));
+    conditions.push(`h.api_bed_history_id = $${params.length}`);
+  }
+
+  if (options.run) {
+    params.push(options.run);
+    conditions.push(`h.fetch_run_id = $${params.length}`);
+  }
+
+  return conditions.map(condition => `AND ${condition}`).join(' ');
+}
+
+async function showBedHistory() {
+  const options = parseOptions();
+  console.log('📜 Bed Change History\n');
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    const params = [];
+    const filters = buildFilters(options, params) + ' ' + buildHistoryFilters(options, params);
+    params.push(options.limit);
+
+    // Changes are matched to contracts and farms through bed_history.contract_id,
+    // so beds deleted since the change was recorded keep their history
+    const query = `
+      SELECT
+        to_char(h.changed_at, 'YYYY-MM-DD HH24:MI:SS') as changed_at,
+        c.crop_year,
+        c.contract_number,
+        COALESCE(f.name, 'Unknown Farm') as farm_name,
+        b.bed_name,
+        h.api_bed_history_id,
+        h.field_name,
+        h.old_value,
+        h.new_value,
+        h.fetch_run_id
+      FROM bed_history h
+      LEFT JOIN beds b ON h.bed_id = b.id
+      LEFT JOIN contracts c ON h.contract_id = c.id
+      LEFT JOIN farms f ON c.farm_id = f.id
+      WHERE TRUE ${filters}
+      ORDER BY h.changed_at DESC, h.id DESC
+      LIMIT $${params.length}
+    `;
+
+    const result = await client.query(query, params);
+
+    if (result.rows.length === 0) {
+      console.log('⚠️  No bed changes found for the selected filters.\n');
+      await client.end();
+      return;
+    }
+
+    const rows = result.rows.map(row => ({
+      changed_at: row.changed_at,
+      year: row.crop_year,
+      contract: row.contract_number,
+      farm: row.farm_name,
+      bed: row.bed_name,
+      bed_history_id: row.api_bed_history_id,
+      field: row.field_name,
+      old_value: row.old_value,
+      new_value: row.new_value
+    }));
+
+    console.table(rows);
+
+    const runs = new Set(result.rows.map(r => r.fetch_run_id).filter(Boolean));
+    const beds = new Set(result.rows.map(r => r.api_bed_history_id));
+    console.log(`\n📊 ${result.rows.length} change(s) across ${beds.size} bed(s) from ${runs.size} fetch run(s)`);
+    if (result.rows.length === options.limit) {
+      console.log(`   (limited to ${options.limit}; use --limit to show more)`);
+    }
+    console.log('');
+
+    await client.end();
+
+  } catch (error) {
+    console.error('❌ Error reading bed history:', error.message);
+    console.error('   Make sure bed_history exists with its contract_id column (node src/database/migrateAddBedHistory.js).\n');
+    process.exit(1);
+  }
+}
+
+showBedHistory();
@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+/**
+ * Bed Area Check
+ * --------------
+ * Computes the geodesic area of each active bed's polygon(s), holes excluded
+ * (PostGIS ST_Area on geography subtracts interior rings), stores it in
+ * beds.computed_acres and reports beds whose reported acres differ from it by
+ * more than a tolerance, grouped by farm and contract.
+ * Output: terminal, output/bed_area_discrepancies.csv and
+ *         output/bed_area_discrepancies.geojson (QGIS layer)
+ * Usage:
+ *   npm run check-areas
+ *   npm run check-areas -- --tolerance 5 --min-diff 0.1
+ *   npm run check-areas -- --farm "Smith Cranberry" --year 2025
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { SQ_METERS_PER_ACRE, buildFilters, csvValue, parseYear } from '../lib/bedReports.js';
+
+// Load environment variables
+dotenv.config();
+
+const OUTPUT_DIR = './output';
+const CSV_FILE = path.join(OUTPUT_DIR, 'bed_area_discrepancies.csv');
+const GEOJSON_FILE = path.join(OUTPUT_DIR, 'bed_area_discrepancies.geojson');
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        tolerance: { type: 'string', default: '10' },
+        'min-diff': { type: 'string', default: '0' },
+        contract: { type: 'string' },
+        farm: { type: 'string' },
+        year: { type: 'string' },
+      },
+    });
+
+    const tolerance = Number(values.tolerance);
+    const minDiff = Number(values['min-diff']);
+    if (!Number.isFinite(tolerance) || tolerance < 0 || !Number.isFinite(minDiff) || minDiff < 0) {
+      throw new Error('--tolerance and --min-diff must be non-negative numbers');
+    }
+
+    return { ...values, tolerance, minDiff, year: parseYear(values.year) };
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('   Options: --tolerance <percent> --min-diff <acres> --contract <number> --farm <name|id> --year <yyyy>\n');
+    process.exit(1);
+  }
+}
+
+/**
+ * Store the geodesic area (acres) of every active bed with a geometry.
+ * Beds whose shapes were removed get NULL. Returns the number of beds updated.
+ */
+async function updateComputedAcres(client) {
+  const result = await client.query(`
+    UPDATE beds b
+    SET computed_acres = a.computed_acres
+    FROM (
+      SELECT
+        b2.id,
+        ROUND((ST_Area(bg.geom::geography) / ${SQ_METERS_PER_ACRE})::numeric, 4) as computed_acres
+      FROM beds b2
+      LEFT JOIN bed_geometries bg ON b2.id = bg.bed_id
+      WHERE b2.retired_at IS NULL
+    ) a
+    WHERE b.id = a.id AND b.computed_acres IS DISTINCT FROM a.computed_acres
+  `);
+  return result.rowCount;
+}
+
+function formatPercent(percent) {
+  return percent === null ? 'n/a' : `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+}
+
+async function checkBedAreas() {
+  const options = parseOptions();
+  console.log('📐 Checking Bed Areas Against Reported Acres...\n');
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    const updated = await updateComputedAcres(client);
+    console.log(`💾 Stored computed acres for ${updated} bed(s) (unchanged beds skipped)\n`);
+
+    const params = [options.minDiff, options.tolerance];
+    const filters = buildFilters(options, params);
+
+    // Beds with no reported acres are flagged whenever the polygon has area
+    const query = `
+      WITH compared AS (
+        SELECT
+          b.id as bed_id,
+          b.api_bed_history_id,
+          b.bed_name,
+          b.handler_section_name,
+          b.acres,
+          b.computed_acres,
+          b.computed_acres - COALESCE(b.acres, 0) as difference_acres,
+          CASE WHEN b.acres > 0 THEN (b.computed_acres - b.acres) / b.acres * 100 END as difference_percent,
+          c.contract_number,
+          c.crop_year,
+          f.id as farm_id,
+          COALESCE(f.name, 'Unknown Farm') as farm_name
+        FROM beds b
+        JOIN contracts c ON b.contract_id = c.id
+        LEFT JOIN farms f ON c.farm_id = f.id
+        WHERE b.retired_at IS NULL AND b.computed_acres IS NOT NULL ${filters}
+      )
+      SELECT
+        compared.*,
+        COUNT(*) OVER () as checked,
+        ABS(compared.difference_acres) > $1
+          AND (compared.difference_percent IS NULL OR ABS(compared.difference_percent) > $2) as flagged,
+        ST_AsGeoJSON(ST_ForcePolygonCCW(CASE WHEN bg.shape_count = 1 THEN ST_GeometryN(bg.geom, 1) ELSE bg.geom END)) as geometry
+      FROM compared
+      JOIN bed_geometries bg ON compared.bed_id = bg.bed_id
+      ORDER BY compared.farm_name, compared.farm_id, compared.contract_number, compared.crop_year, compared.bed_name
+    `;
+
+    const result = await client.query(query, params);
+
+    if (result.rows.length === 0) {
+      console.log('⚠️  No beds with shapes found for the selected filters.\n');
+      await client.end();
+      return;
+    }
+
+    const checked = parseInt(result.rows[0].checked);
+    const discrepancies = result.rows
+      .filter(row => row.flagged)
+      .map(row => ({
+        farmId: row.farm_id,
+        farmName: row.farm_name,
+        contractNumber: row.contract_number,
+        cropYear: row.crop_year,
+        bedId: row.bed_id,
+        bedHistoryId: row.api_bed_history_id,
+        bedName: row.bed_name,
+        handlerSectionName: row.handler_section_name,
+        reportedAcres: row.acres === null ? null : parseFloat(row.acres),
+        computedAcres: parseFloat(row.computed_acres),
+        differenceAcres: parseFloat(row.difference_acres),
+        differencePercent: row.difference_percent === null ? null : parseFloat(row.difference_percent),
+        geometry: JSON.parse(row.geometry)
+      }));
+
+    // Group by farm (by id, since names can repeat), then contract/year
+    const farms = new Map();
+    for (const bed of discrepancies) {
+      if (!farms.has(bed.farmId)) farms.set(bed.farmId, { name: bed.farmName, contracts: new Map() });
+      const contracts = farms.get(bed.farmId).contracts;
+      const contractKey = `${bed.contractNumber} (${bed.cropYear})`;
+      if (!contracts.has(contractKey)) contracts.set(contractKey, []);
+      contracts.get(contractKey).push(bed);
+    }
+
+    console.log(`📋 Beds differing by more than ${options.tolerance}%${options.minDiff > 0 ? ` and ${options.minDiff} acre(s)` : ''}:`);
+    console.log('='.repeat(90));
+    if (discrepancies.length === 0) {
+      console.log('   None - all checked beds are within tolerance');
+    }
+    for (const [farmId, { name, contracts }] of farms) {
+      console.log(`\n🏡 ${name}${farmId === null ? '' : ` (farm ${farmId})`}`);
+      for (const [contractKey, beds] of contracts) {
+        const reported = beds.reduce((sum, bed) => sum + (bed.reportedAcres || 0), 0);
+        const computed = beds.reduce((sum, bed) => sum + bed.computedAcres, 0);
+        console.log(`   📄 ${contractKey}: ${beds.length} bed(s), reported ${reported.toFixed(2)} ac, computed ${computed.toFixed(2)} ac`);
+        for (const bed of beds) {
+          const reportedDisplay = bed.reportedAcres === null ? '(none)' : bed.reportedAcres.toFixed(2);
+          console.log(`      ${bed.bedName || bed.handlerSectionName} [${bed.bedHistoryId}]: reported ${reportedDisplay}, computed ${bed.computedAcres.toFixed(2)}, diff ${bed.differenceAcres.toFixed(2)} (${formatPercent(bed.differencePercent)})`);
+        }
+      }
+    }
+    console.log('\n' + '='.repeat(90));
+    console.log(`Beds checked: ${checked}`);
+    console.log(`Beds beyond tolerance: ${discrepancies.length} across ${farms.size} farm(s)\n`);
+
+    // Create output directory if it doesn't exist
+    if (!fs.existsSync(OUTPUT_DIR)) {
+      fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    }
+
+    const csvHeader = 'farm_id,farm_name,contract_number,crop_year,bed_name,handler_section_name,api_bed_history_id,reported_acres,computed_acres,difference_acres,difference_percent\n';
+    const csvRows = discrepancies.map(bed => [
+      bed.farmId,
+      bed.farmName,
+      bed.contractNumber,
+      bed.cropYear,
+      bed.bedName,
+      bed.handlerSectionName,
+      bed.bedHistoryId,
+      bed.reportedAcres,
+      bed.computedAcres,
+      Number(bed.differenceAcres.toFixed(4)),
+      bed.differencePercent === null ? null : Number(bed.differencePercent.toFixed(2))
+    ].map(csvValue).join(',')).join('\n');
+    fs.writeFileSync(CSV_FILE, csvHeader + csvRows, 'utf8');
+
+    const geojson = {
+      type: 'FeatureCollection',
+      name: 'Bed Area Discrepancies',
+      crs: {
+        type: 'name',
+        properties: {
+          name: 'urn:ogc:def:crs:OGC:1.3:CRS84'
+        }
+      },
+      features: discrepancies.map(bed => ({
+        type: 'Feature',
+        properties: {
+          bed_id: bed.bedId,
+          api_bed_history_id: bed.bedHistoryId,
+          bed_name: bed.bedName,
+          handler_section_name: bed.handlerSectionName,
+          farm_id: bed.farmId,
+          farm_name: bed.farmName,
+          contract_number: bed.contractNumber,
+          crop_year: bed.cropYear,
+          reported_acres: bed.reportedAcres,
+          computed_acres: bed.computedAcres,
+          difference_acres: Number(bed.differenceAcres.toFixed(4)),
+          difference_percent: bed.differencePercent === null ? null : Number(bed.differencePercent.toFixed(2))
+        },
+        geometry: bed.geometry
+      }))
+    };
+    fs.writeFileSync(GEOJSON_FILE, JSON.stringify(geojson, null, 2), 'utf8');
+
+    console.log(`💾 CSV saved to: ${CSV_FILE}`);
+    console.log(`🗺️  GeoJSON saved to: ${GEOJSON_FILE}`);
+    console.log('   In QGIS, graduate by "difference_percent" to spot the largest mismatches\n');
+
+    await client.end();
+    console.log('✅ Bed area check complete!\n');
+
+  } catch (error) {
+    console.error('❌ Error checking bed areas:', error.message);
+    console.error('   Make sure shapes have geometry (node src/database/migrateAddShapeGeometry.js) and beds.computed_acres exists (node src/database/migrateAddComputedAcres.js).\n');
+    process.exit(1);
+  }
+}
+
+checkBedAreas();
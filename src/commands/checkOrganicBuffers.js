@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+/**
+ * Organic Buffer Check
+ * --------------------
+ * For each active organic bed (fruit_type_organic), lists the non-organic beds
+ * of the same crop year within a buffer distance of it, on any farm, with the
+ * distance between the polygons. Certification needs every such neighbor.
+ * Output: terminal, output/organic_buffer_violations.csv,
+ *         output/organic_buffer_zones.geojson (buffer ring around each organic bed)
+ *         and output/organic_buffer_violations.geojson (neighbor area inside a zone)
+ * Usage:
+ *   npm run check-buffers                          (25 ft buffer)
+ *   npm run check-buffers -- --buffer 50ft --year 2025
+ *   npm run check-buffers -- --buffer 10m --farm "Smith Cranberry"
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { DISTANCE_UNITS, buildFilters, csvValue, parseDistance, parseYear } from '../lib/bedReports.js';
+
+// Load environment variables
+dotenv.config();
+
+const OUTPUT_DIR = './output';
+const CSV_FILE = path.join(OUTPUT_DIR, 'organic_buffer_violations.csv');
+const ZONES_FILE = path.join(OUTPUT_DIR, 'organic_buffer_zones.geojson');
+const VIOLATIONS_FILE = path.join(OUTPUT_DIR, 'organic_buffer_violations.geojson');
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        buffer: { type: 'string', default: '25ft' },
+        contract: { type: 'string' },
+        farm: { type: 'string' },
+        year: { type: 'string' },
+      },
+    });
+    return { ...values, buffer: parseDistance(values.buffer, 'ft', 'buffer'), year: parseYear(values.year) };
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('   Options: --buffer <distance[ft|m|mi|km]> --contract <number> --farm <name|id> --year <yyyy>\n');
+    process.exit(1);
+  }
+}
+
+/** GeoJSON for a (Multi)Polygon expression, unwrapping single polygons; NULL if empty */
+function geoJSONColumn(expression) {
+  return `CASE WHEN NOT ST_IsEmpty(${expression}) THEN ST_AsGeoJSON(ST_ForcePolygonCCW(
+    CASE WHEN ST_NumGeometries(${expression}) = 1 THEN ST_GeometryN(${expression}, 1) ELSE ${expression} END)) END`;
+}
+
+async function checkOrganicBuffers() {
+  const options = parseOptions();
+  const bufferLabel = `${options.buffer.value} ${options.buffer.unit}`;
+  console.log(`🌱 Checking ${bufferLabel} Buffers Around Organic Beds...\n`);
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    // Filters select the organic beds; their neighbors may be on any contract or farm
+    const params = [options.buffer.meters];
+    const filters = buildFilters(options, params);
+
+    // Organic beds and their buffers go into a temp table (dropped at commit),
+    // so the buffers are built once for both the zones and the neighbor
+    // lookup. Organic beds are built from their shapes (bed_geometries is
+    // aggregated for every bed before it can be filtered). Buffers are built
+    // on geography so the distance is in meters everywhere; `reach` is the bed
+    // plus its buffer, used to look up neighboring shapes through the GiST
+    // index on shapes.geom.
+    await client.query('BEGIN');
+    await client.query(`
+      CREATE TEMP TABLE organic_buffers ON COMMIT DROP AS
+      WITH organic_shapes AS (
+        SELECT
+          b.id as bed_id,
+          c.crop_year,
+          ST_Multi(ST_Collect(s.geom ORDER BY s.id)) as geom,
+          b.api_bed_history_id,
+          COALESCE(b.bed_name, b.handler_section_name) as bed_name,
+          b.acres,
+          c.contract_number,
+          f.id as farm_id,
+          COALESCE(f.name, 'Unknown Farm') as farm_name
+        FROM beds b
+        JOIN contracts c ON b.contract_id = c.id
+        JOIN shapes s ON b.id = s.bed_id AND s.geom IS NOT NULL
+        LEFT JOIN farms f ON c.farm_id = f.id
+        WHERE b.retired_at IS NULL AND b.fruit_type_organic ${filters}
+        GROUP BY b.id, c.id, f.id
+      )
+      SELECT
+        o.*,
+        r.reach,
+        ST_Multi(ST_CollectionExtract(ST_Difference(r.reach, o.geom), 3)) as zone
+      FROM organic_shapes o
+      CROSS JOIN LATERAL (SELECT ST_Buffer(o.geom::geography, $1)::geometry as reach) r
+    `, params);
+    await client.query('ANALYZE organic_buffers');
+
+    const zones = await client.query(`
+      SELECT
+        o.bed_id, o.crop_year, o.api_bed_history_id, o.bed_name, o.acres,
+        o.contract_number, o.farm_id, o.farm_name,
+        ${geoJSONColumn('o.zone')} as geometry
+      FROM organic_buffers o
+      ORDER BY o.farm_name, o.farm_id, o.contract_number, o.crop_year, o.bed_name
+    `);
+
+    if (zones.rows.length === 0) {
+      console.log('⚠️  No organic beds with shapes found for the selected filters.\n');
+      await client.end();
+      return;
+    }
+
+    // Neighbors are any non-organic bed of the same year, including beds on
+    // other farms; a distance of 0 means the polygons touch or overlap. Only
+    // the neighbor's shapes within the buffer are collected, which is all the
+    // distance and the area inside the zone depend on.
+    const neighbors = await client.query(`
+      WITH nearby AS (
+        SELECT
+          o.bed_id as organic_bed_id,
+          s.bed_id,
+          ST_Multi(ST_Collect(s.geom ORDER BY s.id)) as geom
+        FROM organic_buffers o
+        JOIN shapes s
+          ON s.geom && o.reach
+          AND s.bed_id <> o.bed_id
+          AND ST_DWithin(o.geom::geography, s.geom::geography, $1)
+        JOIN beds nb ON s.bed_id = nb.id AND nb.retired_at IS NULL AND NOT COALESCE(nb.fruit_type_organic, FALSE)
+        JOIN contracts nc ON nb.contract_id = nc.id AND nc.crop_year = o.crop_year
+        GROUP BY o.bed_id, s.bed_id
+      )
+      SELECT
+        o.bed_id as organic_bed_id,
+        n.bed_id,
+        nb.api_bed_history_id,
+        COALESCE(nb.bed_name, nb.handler_section_name) as bed_name,
+        nb.acres,
+        nb.fruit_type_global_gap,
+        nc.contract_number,
+        nf.id as farm_id,
+        COALESCE(nf.name, 'Unknown Farm') as farm_name,
+        ST_Distance(o.geom::geography, n.geom::geography) as distance_meters,
+        ${geoJSONColumn('ST_Multi(ST_CollectionExtract(ST_Intersection(n.geom, o.zone), 3))')} as geometry
+      FROM nearby n
+      JOIN organic_buffers o ON n.organic_bed_id = o.bed_id
+      JOIN beds nb ON n.bed_id = nb.id
+      JOIN contracts nc ON nb.contract_id = nc.id
+      LEFT JOIN farms nf ON nc.farm_id = nf.id
+      ORDER BY o.bed_id, distance_meters, nc.contract_number, bed_name
+    `, [options.buffer.meters]);
+    await client.query('COMMIT');
+
+    const metersPerUnit = DISTANCE_UNITS[options.buffer.unit];
+    const neighborsByBed = new Map();
+    for (const row of neighbors.rows) {
+      if (!neighborsByBed.has(row.organic_bed_id)) neighborsByBed.set(row.organic_bed_id, []);
+      neighborsByBed.get(row.organic_bed_id).push({
+        bedId: row.bed_id,
+        bedHistoryId: row.api_bed_history_id,
+        bedName: row.bed_name,
+        acres: row.acres === null ? null : parseFloat(row.acres),
+        globalGap: row.fruit_type_global_gap || false,
+        contractNumber: row.contract_number,
+        farmId: row.farm_id,
+        farmName: row.farm_name,
+        distance: Number((parseFloat(row.distance_meters) / metersPerUnit).toFixed(2)),
+        geometry: row.geometry ? JSON.parse(row.geometry) : null
+      });
+    }
+
+    const organic = zones.rows.map(row => ({
+      bedId: row.bed_id,
+      bedHistoryId: row.api_bed_history_id,
+      bedName: row.bed_name,
+      acres: row.acres === null ? null : parseFloat(row.acres),
+      cropYear: row.crop_year,
+      contractNumber: row.contract_number,
+      farmId: row.farm_id,
+      farmName: row.farm_name,
+      geometry: row.geometry ? JSON.parse(row.geometry) : null,
+      neighbors: (neighborsByBed.get(row.bed_id) || []).map(neighbor => ({
+        ...neighbor,
+        otherFarm: neighbor.farmId !== row.farm_id
+      }))
+    }));
+
+    const flagged = organic.filter(bed => bed.neighbors.length > 0);
+    const violations = flagged.flatMap(bed => bed.neighbors.map(neighbor => ({ organic: bed, neighbor })));
+
+    console.log(`📋 Non-organic beds within ${bufferLabel} of an organic bed:`);
+    console.log('='.repeat(90));
+    if (flagged.length === 0) {
+      console.log('   None - every organic bed has a clear buffer');
+    }
+    let farmKey;
+    for (const bed of flagged) {
+      if (bed.farmId !== farmKey) {
+        farmKey = bed.farmId;
+        console.log(`\n🏡 ${bed.farmName}${bed.farmId === null ? '' : ` (farm ${bed.farmId})`}`);
+      }
+      console.log(`   🌱 ${bed.cropYear} ${bed.contractNumber} ${bed.bedName} [${bed.bedHistoryId}]: ${bed.neighbors.length} neighbor(s)`);
+      for (const neighbor of bed.neighbors) {
+        const owner = neighbor.otherFarm
+          ? `${neighbor.farmName}${neighbor.farmId === null ? '' : ` (farm ${neighbor.farmId})`} `
+          : '';
+        console.log(`      ⚠️  ${owner}${neighbor.contractNumber} ${neighbor.bedName} [${neighbor.bedHistoryId}]: ` +
+          `${neighbor.distance} ${options.buffer.unit}${neighbor.globalGap ? ' (Global GAP)' : ''}`);
+      }
+    }
+
+    console.log('\n' + '='.repeat(90));
+    console.log(`Organic beds checked: ${organic.length}`);
+    console.log(`Organic beds with non-organic neighbors: ${flagged.length}`);
+    console.log(`Neighboring beds: ${violations.length} (${violations.filter(v => v.neighbor.otherFarm).length} on other farms)\n`);
+
+    // Create output directory if it doesn't exist
+    if (!fs.existsSync(OUTPUT_DIR)) {
+      fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    }
+
+    const distanceColumn = `distance_${options.buffer.unit}`;
+    const csvHeader = `crop_year,organic_farm_id,organic_farm_name,organic_contract,organic_bed_name,organic_api_bed_history_id,` +
+      `neighbor_farm_id,neighbor_farm_name,neighbor_contract,neighbor_bed_name,neighbor_api_bed_history_id,` +
+      `neighbor_global_gap,other_farm,${distanceColumn}\n`;
+    const csvRows = violations.map(({ organic: bed, neighbor }) => [
+      bed.cropYear,
+      bed.farmId,
+      bed.farmName,
+      bed.contractNumber,
+      bed.bedName,
+      bed.bedHistoryId,
+      neighbor.farmId,
+      neighbor.farmName,
+      neighbor.contractNumber,
+      neighbor.bedName,
+      neighbor.bedHistoryId,
+      String(neighbor.globalGap),
+      String(neighbor.otherFarm),
+      neighbor.distance
+    ].map(csvValue).join(',')).join('\n');
+    fs.writeFileSync(CSV_FILE, csvHeader + csvRows, 'utf8');
+
+    const crs = {
+      type: 'name',
+      properties: {
+        name: 'urn:ogc:def:crs:OGC:1.3:CRS84'
+      }
+    };
+
+    const zonesGeoJSON = {
+      type: 'FeatureCollection',
+      name: `Organic Buffer Zones (${bufferLabel})`,
+      crs,
+      features: organic.map(bed => ({
+        type: 'Feature',
+        properties: {
+          bed_id: bed.bedId,
+          api_bed_history_id: bed.bedHistoryId,
+          bed_name: bed.bedName,
+          acres: bed.acres,
+          farm_id: bed.farmId,
+          farm_name: bed.farmName,
+          contract_number: bed.contractNumber,
+          crop_year: bed.cropYear,
+          buffer: bufferLabel,
+          neighbor_count: bed.neighbors.length
+        },
+        geometry: bed.geometry
+      }))
+    };
+    fs.writeFileSync(ZONES_FILE, JSON.stringify(zonesGeoJSON, null, 2), 'utf8');
+
+    // Neighbors that only touch the zone boundary have no area inside it
+    const violationsGeoJSON = {
+      type: 'FeatureCollection',
+      name: `Organic Buffer Violations (${bufferLabel})`,
+      crs,
+      features: violations.map(({ organic: bed, neighbor }) => ({
+        type: 'Feature',
+        properties: {
+          crop_year: bed.cropYear,
+          organic_bed_name: bed.bedName,
+          organic_api_bed_history_id: bed.bedHistoryId,
+          organic_contract: bed.contractNumber,
+          organic_farm_name: bed.farmName,
+          neighbor_bed_name: neighbor.bedName,
+          neighbor_api_bed_history_id: neighbor.bedHistoryId,
+          neighbor_contract: neighbor.contractNumber,
+          neighbor_farm_name: neighbor.farmName,
+          neighbor_global_gap: neighbor.globalGap,
+          other_farm: neighbor.otherFarm,
+          [distanceColumn]: neighbor.distance
+        },
+        geometry: neighbor.geometry
+      }))
+    };
+    fs.writeFileSync(VIOLATIONS_FILE, JSON.stringify(violationsGeoJSON, null, 2), 'utf8');
+
+    console.log(`💾 CSV saved to: ${CSV_FILE}`);
+    console.log(`🗺️  Buffer zones saved to: ${ZONES_FILE}`);
+    console.log(`🗺️  Violations saved to: ${VIOLATIONS_FILE}`);
+    console.log('   In QGIS, load both over beds_all_farms.geojson and categorize violations by "other_farm"\n');
+
+    await client.end();
+    console.log('✅ Organic buffer check complete!\n');
+
+  } catch (error) {
+    console.error('❌ Error checking organic buffers:', error.message);
+    console.error('   Make sure shapes have geometry (node src/database/migrateAddShapeGeometry.js).\n');
+    process.exit(1);
+  }
+}
+
+checkOrganicBuffers();
@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+/**
+ * Bed Overlap Check
+ * -----------------
+ * Finds pairs of active beds in the same crop year whose polygons overlap
+ * (e.g. a bed double-reported under two contracts or two growers), with the
+ * overlap area in acres and as a percentage of each bed, grouped by farm.
+ * Output: terminal, output/bed_overlaps.csv and output/bed_overlaps.geojson
+ *         (one feature per overlap, the shared area)
+ * Usage:
+ *   npm run check-overlaps
+ *   npm run check-overlaps -- --year 2025 --min-area 0.05 --min-percent 1
+ *   npm run check-overlaps -- --farm "Smith Cranberry" --scope other-farm
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { SQ_METERS_PER_ACRE, buildFilters, csvValue, parseYear } from '../lib/bedReports.js';
+
+// Load environment variables
+dotenv.config();
+
+const OUTPUT_DIR = './output';
+const CSV_FILE = path.join(OUTPUT_DIR, 'bed_overlaps.csv');
+const GEOJSON_FILE = path.join(OUTPUT_DIR, 'bed_overlaps.geojson');
+
+// Where the second bed of a pair sits relative to the first
+const SCOPES = ['same-contract', 'same-farm', 'other-farm'];
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        'min-area': { type: 'string', default: '0.01' },
+        'min-percent': { type: 'string', default: '0' },
+        scope: { type: 'string', multiple: true },
+        contract: { type: 'string' },
+        farm: { type: 'string' },
+        year: { type: 'string' },
+      },
+    });
+
+    const minArea = Number(values['min-area']);
+    const minPercent = Number(values['min-percent']);
+    if (!Number.isFinite(minArea) || minArea < 0 || !Number.isFinite(minPercent) || minPercent < 0) {
+      throw new Error('--min-area and --min-percent must be non-negative numbers');
+    }
+    const scopes = values.scope || SCOPES;
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown --scope ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`);
+    }
+
+    return { ...values, minArea, minPercent, scopes, year: parseYear(values.year) };
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(`   Options: --min-area <acres> --min-percent <percent> --scope <${SCOPES.join('|')}> --contract <number> --farm <name|id> --year <yyyy>\n`);
+    process.exit(1);
+  }
+}
+
+async function checkOverlaps() {
+  const options = parseOptions();
+  console.log('🧩 Checking for Overlapping Beds...\n');
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    const params = [options.minArea, options.minPercent, options.scopes];
+    // A pair matches a contract or farm filter if either of its beds does
+    const filters = buildFilters(options, params, {
+      contract: ['ca.contract_number', 'cb.contract_number'],
+      farmId: ['fa.id', 'fb.id'],
+      farmName: ['fa.name', 'fb.name'],
+      year: 'ca.crop_year'
+    });
+
+    // Candidate pairs come from a self-join of shapes, which the GiST index on
+    // shapes.geom can drive; shapes of the same bed are never paired. Each
+    // pair is reported once (lower bed id first), and only within a crop year
+    // since the same bed appears in every year. The overlap is then measured
+    // on each bed's shapes unioned after ST_MakeValid, so an invalid or
+    // self-overlapping shape cannot break ST_Intersection. Beds that merely
+    // share an edge have no overlap area and are skipped.
+    const query = `
+      WITH candidates AS (
+        SELECT DISTINCT
+          sa.bed_id as bed_a_id,
+          sb.bed_id as bed_b_id,
+          ca.crop_year,
+          CASE
+            WHEN ca.id = cb.id THEN 'same-contract'
+            WHEN ca.farm_id = cb.farm_id THEN 'same-farm'
+            ELSE 'other-farm'
+          END as scope
+        FROM shapes sa
+        JOIN shapes sb
+          ON sa.bed_id < sb.bed_id
+          AND ST_Intersects(sa.geom, sb.geom)
+        JOIN beds ba ON sa.bed_id = ba.id AND ba.retired_at IS NULL
+        JOIN beds bb ON sb.bed_id = bb.id AND bb.retired_at IS NULL
+        JOIN contracts ca ON ba.contract_id = ca.id
+        JOIN contracts cb ON bb.contract_id = cb.id AND ca.crop_year = cb.crop_year
+        LEFT JOIN farms fa ON ca.farm_id = fa.id
+        LEFT JOIN farms fb ON cb.farm_id = fb.id
+        WHERE TRUE ${filters}
+      ),
+      bed_shapes AS (
+        SELECT s.bed_id, ST_Union(ST_MakeValid(s.geom)) as geom
+        FROM shapes s
+        WHERE s.geom IS NOT NULL
+          AND s.bed_id IN (SELECT bed_a_id FROM candidates UNION SELECT bed_b_id FROM candidates)
+        GROUP BY s.bed_id
+      ),
+      pairs AS (
+        SELECT
+          c.*,
+          ST_CollectionExtract(ST_Intersection(ga.geom, gb.geom), 3) as overlap,
+          ST_Area(ga.geom::geography) as area_a,
+          ST_Area(gb.geom::geography) as area_b
+        FROM candidates c
+        JOIN bed_shapes ga ON c.bed_a_id = ga.bed_id
+        JOIN bed_shapes gb ON c.bed_b_id = gb.bed_id
+        WHERE c.scope = ANY($3::text[])
+      ),
+      measured AS (
+        SELECT
+          pairs.*,
+          ST_Area(overlap::geography) / ${SQ_METERS_PER_ACRE} as overlap_acres,
+          CASE WHEN area_a > 0 THEN ST_Area(overlap::geography) / area_a * 100 END as percent_of_a,
+          CASE WHEN area_b > 0 THEN ST_Area(overlap::geography) / area_b * 100 END as percent_of_b
+        FROM pairs
+      )
+      SELECT
+        m.scope,
+        m.crop_year,
+        m.overlap_acres,
+        m.percent_of_a,
+        m.percent_of_b,
+        ST_AsGeoJSON(ST_ForcePolygonCCW(CASE WHEN ST_NumGeometries(m.overlap) = 1 THEN ST_GeometryN(m.overlap, 1) ELSE m.overlap END)) as geometry,
+        ba.id as bed_a_id,
+        ba.api_bed_history_id as bed_a_history_id,
+        ba.bed_name as bed_a_name,
+        ba.handler_section_name as bed_a_section,
+        ba.acres as bed_a_acres,
+        ca.contract_number as contract_a,
+        fa.id as farm_a_id,
+        COALESCE(fa.name, 'Unknown Farm') as farm_a_name,
+        bb.id as bed_b_id,
+        bb.api_bed_history_id as bed_b_history_id,
+        bb.bed_name as bed_b_name,
+        bb.handler_section_name as bed_b_section,
+        bb.acres as bed_b_acres,
+        cb.contract_number as contract_b,
+        fb.id as farm_b_id,
+        COALESCE(fb.name, 'Unknown Farm') as farm_b_name
+      FROM measured m
+      JOIN beds ba ON m.bed_a_id = ba.id
+      JOIN contracts ca ON ba.contract_id = ca.id
+      LEFT JOIN farms fa ON ca.farm_id = fa.id
+      JOIN beds bb ON m.bed_b_id = bb.id
+      JOIN contracts cb ON bb.contract_id = cb.id
+      LEFT JOIN farms fb ON cb.farm_id = fb.id
+      WHERE m.overlap_acres > $1
+        AND GREATEST(COALESCE(m.percent_of_a, 0), COALESCE(m.percent_of_b, 0)) >= $2
+      ORDER BY farm_a_name, fa.id, m.crop_year, contract_a, bed_a_name, m.overlap_acres DESC
+    `;
+
+    const result = await client.query(query, params);
+
+    const overlaps = result.rows.map(row => ({
+      scope: row.scope,
+      cropYear: row.crop_year,
+      overlapAcres: Number(parseFloat(row.overlap_acres).toFixed(4)),
+      percentOfA: row.percent_of_a === null ? null : Number(parseFloat(row.percent_of_a).toFixed(2)),
+      percentOfB: row.percent_of_b === null ? null : Number(parseFloat(row.percent_of_b).toFixed(2)),
+      geometry: JSON.parse(row.geometry),
+      a: {
+        bedId: row.bed_a_id,
+        bedHistoryId: row.bed_a_history_id,
+        bedName: row.bed_a_name || row.bed_a_section,
+        acres: row.bed_a_acres === null ? null : parseFloat(row.bed_a_acres),
+        contractNumber: row.contract_a,
+        farmId: row.farm_a_id,
+        farmName: row.farm_a_name
+      },
+      b: {
+        bedId: row.bed_b_id,
+        bedHistoryId: row.bed_b_history_id,
+        bedName: row.bed_b_name || row.bed_b_section,
+        acres: row.bed_b_acres === null ? null : parseFloat(row.bed_b_acres),
+        contractNumber: row.contract_b,
+        farmId: row.farm_b_id,
+        farmName: row.farm_b_name
+      }
+    }));
+
+    console.log(`📋 Overlapping beds (more than ${options.minArea} acre(s)${options.minPercent > 0 ? `, at least ${options.minPercent}% of either bed` : ''}):`);
+    console.log('='.repeat(90));
+    if (overlaps.length === 0) {
+      console.log('   None found');
+    }
+    let farmKey;
+    for (const overlap of overlaps) {
+      const { a, b } = overlap;
+      if (a.farmId !== farmKey) {
+        farmKey = a.farmId;
+        console.log(`\n🏡 ${a.farmName}${a.farmId === null ? '' : ` (farm ${a.farmId})`}`);
+      }
+      const other = overlap.scope === 'other-farm'
+        ? `${b.farmName}${b.farmId === null ? '' : ` (farm ${b.farmId})`} ${b.contractNumber}`
+        : b.contractNumber;
+      console.log(`   ${overlap.cropYear} ${a.contractNumber} ${a.bedName} [${a.bedHistoryId}] ↔ ${other} ${b.bedName} [${b.bedHistoryId}]: ` +
+        `${overlap.overlapAcres.toFixed(2)} ac (${overlap.percentOfA ?? 'n/a'}% / ${overlap.percentOfB ?? 'n/a'}%) [${overlap.scope}]`);
+    }
+
+    const byScope = SCOPES.map(scope => `${scope}: ${overlaps.filter(o => o.scope === scope).length}`);
+    console.log('\n' + '='.repeat(90));
+    console.log(`Overlapping pairs: ${overlaps.length} (${byScope.join(', ')})`);
+    console.log(`Total overlap: ${overlaps.reduce((sum, o) => sum + o.overlapAcres, 0).toFixed(2)} acres\n`);
+
+    // Create output directory if it doesn't exist
+    if (!fs.existsSync(OUTPUT_DIR)) {
+      fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    }
+
+    const csvHeader = 'crop_year,scope,overlap_acres,percent_of_a,percent_of_b,' +
+      'farm_a_id,farm_a_name,contract_a,bed_a_name,api_bed_history_id_a,acres_a,' +
+      'farm_b_id,farm_b_name,contract_b,bed_b_name,api_bed_history_id_b,acres_b\n';
+    const csvRows = overlaps.map(overlap => [
+      overlap.cropYear,
+      overlap.scope,
+      overlap.overlapAcres,
+      overlap.percentOfA,
+      overlap.percentOfB,
+      overlap.a.farmId,
+      overlap.a.farmName,
+      overlap.a.contractNumber,
+      overlap.a.bedName,
+      overlap.a.bedHistoryId,
+      overlap.a.acres,
+      overlap.b.farmId,
+      overlap.b.farmName,
+      overlap.b.contractNumber,
+      overlap.b.bedName,
+      overlap.b.bedHistoryId,
+      overlap.b.acres
+    ].map(csvValue).join(',')).join('\n');
+    fs.writeFileSync(CSV_FILE, csvHeader + csvRows, 'utf8');
+
+    const geojson = {
+      type: 'FeatureCollection',
+      name: 'Bed Overlaps',
+      crs: {
+        type: 'name',
+        properties: {
+          name: 'urn:ogc:def:crs:OGC:1.3:CRS84'
+        }
+      },
+      features: overlaps.map(overlap => ({
+        type: 'Feature',
+        properties: {
+          crop_year: overlap.cropYear,
+          scope: overlap.scope,
+          overlap_acres: overlap.overlapAcres,
+          percent_of_a: overlap.percentOfA,
+          percent_of_b: overlap.percentOfB,
+          farm_a_id: overlap.a.farmId,
+          farm_a_name: overlap.a.farmName,
+          contract_a: overlap.a.contractNumber,
+          bed_a_name: overlap.a.bedName,
+          api_bed_history_id_a: overlap.a.bedHistoryId,
+          farm_b_id: overlap.b.farmId,
+          farm_b_name: overlap.b.farmName,
+          contract_b: overlap.b.contractNumber,
+          bed_b_name: overlap.b.bedName,
+          api_bed_history_id_b: overlap.b.bedHistoryId
+        },
+        geometry: overlap.geometry
+      }))
+    };
+    fs.writeFileSync(GEOJSON_FILE, JSON.stringify(geojson, null, 2), 'utf8');
+
+    console.log(`💾 CSV saved to: ${CSV_FILE}`);
+    console.log(`🗺️  GeoJSON saved to: ${GEOJSON_FILE}`);
+    console.log('   In QGIS, load it over beds_all_farms.geojson and categorize by "scope"\n');
+
+    await client.end();
+    console.log('✅ Overlap check complete!\n');
+
+  } catch (error) {
+    console.error('❌ Error checking overlaps:', error.message);
+    console.error('   Make sure shapes have geometry (node src/database/migrateAddShapeGeometry.js).\n');
+    process.exit(1);
+  }
+}
+
+checkOverlaps();
@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * Bed Shape Check
+ * ---------------
+ * Re-validates every stored shape of active beds (unclosed rings, duplicate
+ * vertices, swapped lat/lon, too few points, zero area, self-intersections),
+ * rewrites shapes.geom with the repaired geometry and reports the shapes that
+ * cannot be repaired, grouped by farm and contract. Swapped lat/lon is judged
+ * against the growing region (SHAPE_REGION_BBOX, North America by default)
+ * and each farm's geocoded address.
+ * Output: terminal and output/invalid_shapes.csv
+ * Usage:
+ *   npm run check-shapes
+ *   npm run check-shapes -- --dry-run              (report only, no updates)
+ *   npm run check-shapes -- --contract 0781502 --year 2025
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { buildFilters, csvValue, parseYear } from '../lib/bedReports.js';
+import { SHAPE_REPAIRS, SHAPE_PROBLEMS, inspectShape, shapeReference, shapeRegion } from '../lib/polygon.js';
+
+// Load environment variables
+dotenv.config();
+
+const OUTPUT_DIR = './output';
+const CSV_FILE = path.join(OUTPUT_DIR, 'invalid_shapes.csv');
+
+const BATCH_SIZE = 1000;
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        'dry-run': { type: 'boolean', default: false },
+        contract: { type: 'string' },
+        farm: { type: 'string' },
+        year: { type: 'string' },
+      },
+    });
+    return { ...values, dryRun: values['dry-run'], year: parseYear(values.year), region: shapeRegion() };
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('   Options: --dry-run --contract <number> --farm <name|id> --year <yyyy>\n');
+    process.exit(1);
+  }
+}
+
+async function checkShapes() {
+  const options = parseOptions();
+  console.log(`🔍 Checking Bed Shapes${options.dryRun ? ' (dry run)' : ''}...\n`);
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    const params = [];
+    const filters = buildFilters(options, params);
+    const result = await client.query(`
+      SELECT
+        s.id as shape_id,
+        s.shape_value,
+        b.api_bed_history_id,
+        b.bed_name,
+        b.handler_section_name,
+        c.id as contract_id,
+        c.contract_number,
+        c.crop_year,
+        f.id as farm_id,
+        COALESCE(f.name, 'Unknown Farm') as farm_name
+      FROM shapes s
+      JOIN beds b ON s.bed_id = b.id
+      JOIN contracts c ON b.contract_id = c.id
+      LEFT JOIN farms f ON c.farm_id = f.id
+      WHERE b.retired_at IS NULL ${filters}
+      ORDER BY farm_name, f.id, c.contract_number, c.crop_year, b.bed_name, s.id
+    `, params);
+
+    if (result.rows.length === 0) {
+      console.log('⚠️  No shapes found for the selected filters.\n');
+      await client.end();
+      return;
+    }
+
+    // Swapped coordinates are judged against the farm's first geocoded
+    // address, else the other shapes of the same contract
+    const locations = await client.query(`
+      SELECT DISTINCT ON (farm_id) farm_id, longitude, latitude
+      FROM farm_addresses
+      WHERE latitude IS NOT NULL AND longitude IS NOT NULL
+      ORDER BY farm_id, id
+    `);
+    const farmLocations = new Map(
+      locations.rows.map(row => [row.farm_id, [Number(row.longitude), Number(row.latitude)]])
+    );
+
+    const contractShapes = new Map();
+    for (const row of result.rows) {
+      if (!contractShapes.has(row.contract_id)) contractShapes.set(row.contract_id, { farmId: row.farm_id, values: [] });
+      contractShapes.get(row.contract_id).values.push(row.shape_value);
+    }
+    const references = new Map(
+      [...contractShapes].map(([contractId, { farmId, values }]) => [
+        contractId,
+        shapeReference(values, { location: farmLocations.get(farmId), region: options.region })
+      ])
+    );
+
+    const repairCounts = Object.fromEntries(SHAPE_REPAIRS.map(code => [code, 0]));
+    const problemCounts = Object.fromEntries(SHAPE_PROBLEMS.map(code => [code, 0]));
+    const updates = [];
+    const invalid = [];
+    let repaired = 0;
+
+    for (const row of result.rows) {
+      const inspection = inspectShape(row.shape_value, { reference: references.get(row.contract_id), region: options.region });
+      inspection.repairs.forEach(code => repairCounts[code]++);
+      inspection.problems.forEach(code => problemCounts[code]++);
+
+      if (inspection.problems.length > 0) {
+        invalid.push({ ...row, problems: inspection.problems });
+      } else if (inspection.repairs.length > 0) {
+        repaired++;
+      }
+      updates.push({
+        id: row.shape_id,
+        geojson: inspection.coordinates ? JSON.stringify({ type: 'Polygon', coordinates: inspection.coordinates }) : null
+      });
+    }
+
+    // Rewrite geom where the repaired geometry differs from what is stored
+    let updated = 0;
+    if (!options.dryRun) {
+      await client.query('BEGIN');
+      for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+        const batch = updates.slice(i, i + BATCH_SIZE);
+        const update = await client.query(
+          `UPDATE shapes s
+           SET geom = r.geom
+           FROM (
+             SELECT id, ST_SetSRID(ST_GeomFromGeoJSON(geojson), 4326) as geom
+             FROM unnest($1::int[], $2::text[]) AS u(id, geojson)
+           ) r
+           WHERE s.id = r.id AND s.geom IS DISTINCT FROM r.geom`,
+          [batch.map(u => u.id), batch.map(u => u.geojson)]
+        );
+        updated += update.rowCount;
+      }
+      await client.query('COMMIT');
+    }
+
+    console.log('📊 SHAPE CHECK SUMMARY');
+    console.log('='.repeat(70));
+    console.log(`Shapes checked: ${result.rows.length}`);
+    console.log(`Shapes repaired: ${repaired}`);
+    for (const code of SHAPE_REPAIRS) {
+      if (repairCounts[code] > 0) console.log(`   - ${code}: ${repairCounts[code]}`);
+    }
+    console.log(`Shapes that cannot be repaired: ${invalid.length}`);
+    for (const code of SHAPE_PROBLEMS) {
+      if (problemCounts[code] > 0) console.log(`   - ${code}: ${problemCounts[code]}`);
+    }
+    console.log(options.dryRun
+      ? 'Geometry updates: skipped (dry run)'
+      : `Geometry updated: ${updated} shape(s)`);
+    console.log('='.repeat(70));
+
+    if (invalid.length > 0) {
+      console.log('\n⚠️  UNREPAIRABLE SHAPES (stored without geometry):');
+      let farmKey;
+      let contractKey = null;
+      for (const shape of invalid) {
+        if (shape.farm_id !== farmKey) {
+          farmKey = shape.farm_id;
+          contractKey = null;
+          console.log(`\n🏡 ${shape.farm_name}${shape.farm_id === null ? '' : ` (farm ${shape.farm_id})`}`);
+        }
+        if (shape.contract_id !== contractKey) {
+          contractKey = shape.contract_id;
+          console.log(`   📄 ${shape.contract_number} (${shape.crop_year})`);
+        }
+        console.log(`      ${shape.bed_name || shape.handler_section_name} [${shape.api_bed_history_id}] shape ${shape.shape_id}: ${shape.problems.join(', ')}`);
+      }
+      console.log('');
+    }
+
+    // Create output directory if it doesn't exist
+    if (!fs.existsSync(OUTPUT_DIR)) {
+      fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    }
+
+    const csvHeader = 'farm_id,farm_name,contract_number,crop_year,bed_name,api_bed_history_id,shape_id,problems,shape_value\n';
+    const csvRows = invalid.map(shape => [
+      shape.farm_id,
+      shape.farm_name,
+      shape.contract_number,
+      shape.crop_year,
+      shape.bed_name,
+      shape.api_bed_history_id,
+      shape.shape_id,
+      shape.problems.join(' '),
+      shape.shape_value
+    ].map(csvValue).join(',')).join('\n');
+    fs.writeFileSync(CSV_FILE, csvHeader + csvRows, 'utf8');
+    console.log(`💾 Unrepairable shapes saved to: ${CSV_FILE}\n`);
+
+    await client.end();
+    console.log('✅ Shape check complete!\n');
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error checking shapes:', error.message);
+    console.error('   Make sure shapes have a geom column (node src/database/migrateAddShapeGeometry.js).\n');
+    process.exit(1);
+  }
+}
+
+checkShapes();
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * Consolidate Duplicate Farms
+ * ---------------------------
+ * One-off cleanup for farms created before ingest matched contracts to an
+ * existing farm. Farms are merged when they share a stable grower key
+ * (bp:<id>, stored or from GrowerList2024.json), a contract number or an
+ * address. Farms with different grower keys are never merged, even when they
+ * share an address (a management company or PO box can serve several
+ * growers); those matches are listed for review instead. So are farms that
+ * only share a name key: two growers can have the same name.
+ * Contracts and addresses are repointed to the surviving (lowest id) farm,
+ * which keeps the group's grower key.
+ * Usage: npm run consolidate-farms [-- --dry-run]
+ */
+
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { loadGrowerRoster, growerKeyForName, isStableGrowerKey, addressKey } from '../lib/growerRoster.js';
+
+// Load environment variables
+dotenv.config();
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+/**
+ * Group farm ids that share any identity key (union-find). A group holds at
+ * most one grower key: a shared contract number or address that would join
+ * farms with different grower keys is returned as a conflict instead.
+ * Returns { groups, conflicts: [{ farmIds: [a, b], key }] }.
+ */
+function groupFarms(farmKeys, farmGrowerKeys) {
+  const parent = new Map();
+  const groupGrowerKey = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const conflicts = [];
+  const firstFarmForKey = new Map();
+  for (const farmId of farmKeys.keys()) {
+    parent.set(farmId, farmId);
+    groupGrowerKey.set(farmId, farmGrowerKeys.get(farmId) || null);
+  }
+
+  for (const [farmId, keys] of farmKeys) {
+    for (const key of keys) {
+      if (!firstFarmForKey.has(key)) {
+        firstFarmForKey.set(key, farmId);
+        continue;
+      }
+      const a = find(firstFarmForKey.get(key));
+      const b = find(farmId);
+      if (a === b) continue;
+
+      const growerA = groupGrowerKey.get(a);
+      const growerB = groupGrowerKey.get(b);
+      if (growerA && growerB && growerA !== growerB) {
+        conflicts.push({ farmIds: [firstFarmForKey.get(key), farmId], key });
+        continue;
+      }
+
+      const [root, child] = [Math.min(a, b), Math.max(a, b)];
+      parent.set(child, root);
+      groupGrowerKey.set(root, growerA || growerB);
+    }
+  }
+
+  const groups = new Map();
+  for (const farmId of farmKeys.keys()) {
+    const root = find(farmId);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(farmId);
+  }
+
+  return {
+    groups: [...groups.values()].filter(group => group.length > 1),
+    conflicts
+  };
+}
+
+/**
+ * Farms that share a name grower key but were not grouped together: possibly
+ * the same grower, but a name alone is not enough to merge them.
+ * Returns [{ farmIds, key }], farmIds in ascending order.
+ */
+function findNameMatches(groups, farmGrowerKeys) {
+  const groupOf = new Map();
+  for (const group of groups) {
+    for (const farmId of group) groupOf.set(farmId, Math.min(...group));
+  }
+
+  const farmsByName = new Map();
+  for (const [farmId, growerKey] of farmGrowerKeys) {
+    if (!growerKey || isStableGrowerKey(growerKey)) continue;
+    if (!farmsByName.has(growerKey)) farmsByName.set(growerKey, []);
+    farmsByName.get(growerKey).push(farmId);
+  }
+
+  const matches = [];
+  for (const [key, farmIds] of farmsByName) {
+    const groupIds = new Set(farmIds.map(id => groupOf.get(id) ?? id));
+    if (groupIds.size > 1) matches.push({ farmIds: farmIds.sort((a, b) => a - b), key });
+  }
+  return matches;
+}
+
+/**
+ * Merge one duplicate farm into the survivor
+ */
+async function mergeFarm(client, survivorId, duplicateId) {
+  const stats = { contracts: 0, addressesMoved: 0, addressesMerged: 0 };
+
+  // Move or merge addresses (survivor may already have the same address)
+  const addresses = await client.query(
+    'SELECT * FROM farm_addresses WHERE farm_id = $1',
+    [duplicateId]
+  );
+
+  for (const address of addresses.rows) {
+    const existing = await client.query(
+      `SELECT id FROM farm_addresses
+       WHERE farm_id = $1
+         AND street IS NOT DISTINCT FROM $2
+         AND city IS NOT DISTINCT FROM $3
+         AND state IS NOT DISTINCT FROM $4
+         AND postal_code IS NOT DISTINCT FROM $5`,
+      [survivorId, address.street, address.city, address.state, address.postal_code]
+    );
+
+    if (existing.rows.length > 0) {
+      const survivorAddressId = existing.rows[0].id;
+      await client.query(
+        'UPDATE beds SET farm_address_id = $1 WHERE farm_address_id = $2',
+        [survivorAddressId, address.id]
+      );
+      // Keep geocoding results if only the duplicate had them
+      await client.query(
+        `UPDATE farm_addresses
+         SET latitude = COALESCE(latitude, $2), longitude = COALESCE(longitude, $3)
+         WHERE id = $1`,
+        [survivorAddressId, address.latitude, address.longitude]
+      );
+      await client.query('DELETE FROM farm_addresses WHERE id = $1', [address.id]);
+      stats.addressesMerged++;
+    } else {
+      await client.query(
+        'UPDATE farm_addresses SET farm_id = $1 WHERE id = $2',
+        [survivorId, address.id]
+      );
+      stats.addressesMoved++;
+    }
+  }
+
+  const contracts = await client.query(
+    'UPDATE contracts SET farm_id = $1 WHERE farm_id = $2',
+    [survivorId, duplicateId]
+  );
+  stats.contracts = contracts.rowCount;
+
+  // Carry over any details the survivor is missing, then drop the duplicate
+  const duplicate = await client.query('DELETE FROM farms WHERE id = $1 RETURNING *', [duplicateId]);
+  const farm = duplicate.rows[0];
+  await client.query(
+    `UPDATE farms SET
+       name = COALESCE(name, $2),
+       name2 = COALESCE(name2, $3),
+       voting_contact = COALESCE(voting_contact, $4),
+       email = COALESCE(email, $5),
+       phone_number = COALESCE(phone_number, $6),
+       grower_key = COALESCE(grower_key, $7)
+     WHERE id = $1`,
+    [survivorId, farm.name, farm.name2, farm.voting_contact, farm.email, farm.phone_number, farm.grower_key]
+  );
+
+  return stats;
+}
+
+async function consolidateFarms() {
+  console.log(`🔄 Consolidating duplicate farms${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+  const roster = loadGrowerRoster();
+  console.log(`📋 Loaded ${roster.size} grower records from JSON\n`);
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    const farmsResult = await client.query('SELECT id, name, grower_key FROM farms ORDER BY id');
+    const contractsResult = await client.query('SELECT farm_id, contract_number FROM contracts WHERE farm_id IS NOT NULL');
+    const addressesResult = await client.query('SELECT farm_id, street, city, state, postal_code FROM farm_addresses');
+
+    // Each farm's grower key: the stored one, else one from the grower list
+    // for its contracts (a bp id in preference to a name), else its name.
+    // Only bp ids join farms; any key keeps farms with different keys apart.
+    const rosterKeys = new Map();
+    for (const contract of contractsResult.rows) {
+      const growerKey = roster.get(contract.contract_number)?.growerKey;
+      if (!growerKey) continue;
+      const current = rosterKeys.get(contract.farm_id);
+      if (!current || (isStableGrowerKey(growerKey) && !isStableGrowerKey(current))) {
+        rosterKeys.set(contract.farm_id, growerKey);
+      }
+    }
+
+    // Collect every identity key for each farm
+    const farmKeys = new Map();
+    const farmNames = new Map();
+    const farmGrowerKeys = new Map();
+    for (const farm of farmsResult.rows) {
+      const keys = new Set();
+      const growerKey = farm.grower_key || rosterKeys.get(farm.id) || growerKeyForName(farm.name);
+      if (isStableGrowerKey(growerKey)) keys.add(`grower:${growerKey}`);
+      farmKeys.set(farm.id, keys);
+      farmNames.set(farm.id, farm.name);
+      farmGrowerKeys.set(farm.id, growerKey);
+    }
+
+    for (const contract of contractsResult.rows) {
+      farmKeys.get(contract.farm_id).add(`contract:${contract.contract_number}`);
+    }
+
+    for (const address of addressesResult.rows) {
+      const key = addressKey(address);
+      if (key) farmKeys.get(address.farm_id).add(`address:${key}`);
+    }
+
+    const { groups, conflicts } = groupFarms(farmKeys, farmGrowerKeys);
+    const nameMatches = findNameMatches(groups, farmGrowerKeys);
+    console.log(`📊 Found ${farmsResult.rows.length} farms, ${groups.length} group(s) of duplicates\n`);
+
+    if (conflicts.length > 0) {
+      console.log(`⚠️  ${conflicts.length} match(es) between farms with different grower keys (not merged, review by hand):`);
+      for (const { farmIds: [a, b], key } of conflicts) {
+        const [kind, ...value] = key.split(':');
+        console.log(`   farm ${a} "${farmNames.get(a) || 'Unknown Farm'}" (${farmGrowerKeys.get(a)}) and ` +
+          `farm ${b} "${farmNames.get(b) || 'Unknown Farm'}" (${farmGrowerKeys.get(b)}) share ${kind} ${value.join(':')}`);
+      }
+      console.log('');
+    }
+
+    if (nameMatches.length > 0) {
+      console.log(`⚠️  ${nameMatches.length} set(s) of farms matching only by name (not merged, review by hand):`);
+      for (const { farmIds, key } of nameMatches) {
+        const farms = farmIds.map(id => `farm ${id} "${farmNames.get(id) || 'Unknown Farm'}"`);
+        console.log(`   ${farms.join(', ')} share name key ${key}`);
+      }
+      console.log('');
+    }
+
+    if (groups.length === 0) {
+      console.log('✅ No duplicate farms to merge!\n');
+      await client.end();
+      return;
+    }
+
+    const totals = { farmsMerged: 0, contracts: 0, addressesMoved: 0, addressesMerged: 0 };
+
+    await client.query('BEGIN');
+
+    for (const group of groups) {
+      group.sort((a, b) => a - b);
+      const [survivorId, ...duplicateIds] = group;
+      const label = farmNames.get(survivorId) || duplicateIds.map(id => farmNames.get(id)).find(Boolean) || 'Unknown Farm';
+
+      console.log(`🔗 ${label}: farm ${survivorId} ← ${duplicateIds.join(', ')}`);
+
+      for (const duplicateId of duplicateIds) {
+        const stats = await mergeFarm(client, survivorId, duplicateId);
+        totals.farmsMerged++;
+        totals.contracts += stats.contracts;
+        totals.addressesMoved += stats.addressesMoved;
+        totals.addressesMerged += stats.addressesMerged;
+      }
+
+      // The group shares at most one grower key; keep it on the survivor
+      const growerKey = group.map(id => farmGrowerKeys.get(id)).find(Boolean);
+      if (growerKey) {
+        await client.query(
+          'UPDATE farms SET grower_key = COALESCE(grower_key, $2) WHERE id = $1',
+          [survivorId, growerKey]
+        );
+      }
+    }
+
+    if (DRY_RUN) {
+      await client.query('ROLLBACK');
+    } else {
+      await client.query('COMMIT');
+    }
+
+    console.log('\n' + '='.repeat(70));
+    console.log(`📊 CONSOLIDATION SUMMARY${DRY_RUN ? ' (DRY RUN - NOTHING SAVED)' : ''}`);
+    console.log('='.repeat(70));
+    console.log(`Duplicate groups: ${groups.length}`);
+    console.log(`⚠️  Conflicting matches skipped: ${conflicts.length}`);
+    console.log(`⚠️  Name-only matches skipped: ${nameMatches.length}`);
+    console.log(`✅ Farms merged away: ${totals.farmsMerged}`);
+    console.log(`   Contracts repointed: ${totals.contracts}`);
+    console.log(`   Addresses moved: ${totals.addressesMoved}`);
+    console.log(`   Duplicate addresses merged: ${totals.addressesMerged}`);
+    console.log('='.repeat(70) + '\n');
+
+    await client.end();
+    console.log('✅ Consolidation complete!\n');
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error consolidating farms:', error.message);
+    console.error('   Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+consolidateFarms();
@@ -8,22 +8,64 @@
  *   3. Configure .env file with API token and database credentials
  *   4. Run: node fetchContracts.js
  *   5. JSON results will be saved in ./data/{cropYear}/{contractNumber}.json
- *   6. Data will be inserted into PostgreSQL database
+ *   6. Data will be inserted into PostgreSQL database (the raw response is
+ *      kept in raw_payloads, linked from contracts and beds)
+ *
+ * Non-interactive use (cron, scripts):
+ *   node fetchContracts.js --year 2025 --token-file ~/.oceanspray-token
+ *   node fetchContracts.js --year 2025 --contract 0781502
+ *   node fetchContracts.js --year 2020-2024 --year 2026    # ranges and lists
+ *   node fetchContracts.js --year 2026 --source roster     # every grower in the grower list
+ *   node fetchContracts.js --year 2026 --source db --source-year 2025 --state WI
+ *   node fetchContracts.js --help                          # all options
+ *
+ * Offline re-import (no API calls, no token needed):
+ *   node fetchContracts.js --offline                       # every year under ./data
+ *   node fetchContracts.js --offline --year 2024 --year 2025
+ *   node fetchContracts.js --offline --year 2024 --contract 0781502
+ *
+ * Interrupted runs and failures:
+ *   node fetchContracts.js --resume                        # continue the last run
+ *   node fetchContracts.js --retry-failed latest           # only contracts that failed
+ *   node fetchContracts.js --retry-failed <run id> --year 2025
+ *
+ * Preview (every ingest is rolled back; nothing is saved or logged):
+ *   node fetchContracts.js --year 2026 --dry-run           # report → ./output/dry_run_report.json
+ *
+ * Contracts whose payload is identical to the last ingest are skipped
+ * (reported as "unchanged"); pass --force to ingest them anyway.
+ *
+ * Prompts for the token and crop year are only shown when a terminal is
+ * attached and the value was not given on the command line.
  */
 
 import fs from "fs";
+import crypto from "crypto";
 import path from "path";
-import axios from "axios";
 import readline from "readline";
+import { parseArgs } from "util";
 import dotenv from "dotenv";
 import pg from "pg";
+import { runPool } from "../lib/concurrency.js";
+import { createApiClient, DEFAULT_API_URL } from "../lib/apiClient.js";
+import { loadGrowerRoster, isStableGrowerKey, DEFAULT_GROWER_LIST } from "../lib/growerRoster.js";
+import { validateContractPayload } from "../lib/validatePayload.js";
+import { hashPayload } from "../lib/payloadHash.js";
+import { inspectShape, shapeReference, shapeRegion } from "../lib/polygon.js";
+import { readRunLog, readFetchRuns, failureReason } from "../lib/fetchRuns.js";
+import { DEFAULT_CHECKPOINT_FILE, loadCheckpoint, openCheckpoint, remainingItems } from "../lib/checkpoint.js";
+import { CONTRACT_SOURCES, parseCropYears, readContractFile, rosterContractNumbers, dbContractNumbers, filterContracts } from "../lib/contractSources.js";
+import { DEFAULT_DRY_RUN_REPORT, buildDryRunReport, printDryRunReport, writeDryRunReport } from "../lib/dryRunReport.js";
 
 // Load environment variables
 dotenv.config();
 
-const API_URL = "https://grower-gbs-prod.oceanspray.io/v1";
-const DATA_DIR = "./data";
-const CONTRACTS_FILE = "./input/contracts.txt";
+const DEFAULT_DATA_DIR = "./data";
+const DEFAULT_CONTRACTS_FILE = "./input/contracts.txt";
+const DEFAULT_QUARANTINE_DIR = "./data/quarantine";
+const DEFAULT_RUN_LOG = "./logs/fetch_runs.jsonl";
+const MISSING_BED_MODES = ["retire", "delete", "keep"];
+const WRITE_MODES = ["row", "bulk"];
 
 // Database connection pool
 const pool = new pg.Pool({
@@ -48,42 +90,462 @@ function ask(question) {
   );
 }
 
-/** Read contract numbers from file */
-function readContractNumbers() {
-  if (!fs.existsSync(CONTRACTS_FILE)) {
-    console.error(`❌ Missing ${CONTRACTS_FILE}. Please create it first.`);
+const USAGE = `
+Usage: node src/commands/fetchContracts.js [options]
+
+Contract selection:
+  --year <years>            Crop year(s): 2024, 2020-2024 or 2022,2024;
+                            repeatable (prompted on a TTY, otherwise the
+                            current year)
+  --contract <number>       Process a single contract number
+  --source <source>         Where the contract list comes from:
+                            file   --contracts-file (default)
+                            roster every extBpId in --grower-list
+                            db     contracts in the database for --source-year
+  --contracts-file <path>   File with one contract number per line
+                            (default: ${DEFAULT_CONTRACTS_FILE})
+  --source-year <yyyy>      Crop year for --source db (default: latest
+                            crop year in the database)
+  --farm <name|id>          Only contracts of matching farms (grower list
+                            or database name, or farm id)
+  --state <code>            Only contracts whose farm has an address in
+                            this state (database addresses)
+
+Storage:
+  --data-dir <path>         Where JSON responses are saved and read
+                            (default: ${DEFAULT_DATA_DIR})
+  --offline                 Re-import saved JSON from --data-dir instead of
+                            calling the API (no token needed)
+  --grower-list <path>      Grower list used to match contracts to farms
+                            (default: ${DEFAULT_GROWER_LIST})
+  --missing-beds <mode>     Beds/blocks no longer in a contract's payload:
+                            retire (stamp retired_at), delete or keep
+                            (default: retire)
+  --quarantine-dir <path>   Where bed records failing validation are saved
+                            (default: ${DEFAULT_QUARANTINE_DIR})
+  --run-log <path>          JSON-lines log, one entry per contract, also
+                            stored in the fetch_runs table
+                            (default: ${DEFAULT_RUN_LOG})
+  --force                   Write to the database even when a contract's
+                            payload is unchanged since the last ingest
+  --dry-run                 Run every ingest in a rolled-back transaction and
+                            report the changes it would make; no data files,
+                            quarantine files, run log or checkpoint written
+  --report <path>           Dry-run report JSON (default: ${DEFAULT_DRY_RUN_REPORT})
+
+Resuming:
+  --resume                  Continue the run in --checkpoint, skipping the
+                            contracts it already processed (same run id;
+                            API vs offline mode comes from the checkpoint)
+  --retry-failed <run id>   Re-run only contracts that failed at the API or
+                            DB stage in that run ("latest" for the last
+                            run); --year/--contract narrow the list and
+                            API vs offline mode comes from that run
+  --checkpoint <path>       Progress file written after every contract
+                            (default: ${DEFAULT_CHECKPOINT_FILE})
+
+API:
+  --api-url <url>           Grower API base URL, e.g. the local mock server
+                            http://localhost:4010/v1 (default:
+                            OCEANSPRAY_API_URL or ${DEFAULT_API_URL})
+
+API token (first one found wins):
+  --token <value>           Token on the command line
+  --token-file <path>       Read the token from a file
+                            OCEANSPRAY_API_TOKEN environment variable
+                            Interactive prompt (TTY only)
+
+Shapes:
+  SHAPE_REGION_BBOX         Environment variable "minLon,minLat,maxLon,maxLat":
+                            growing region used to spot swapped lat/lon
+                            (default: North America)
+
+Throughput:
+  --write-mode <mode>       row (one statement per address/block/bed/shape)
+                            or bulk (multi-row upserts per contract); the
+                            summary reports DB write time (default: row)
+  --concurrency <n>         Contracts processed in parallel (default: 4)
+  --retries <n>             Retries on 429/5xx/timeouts (default: 3)
+  --rate <n>                Max API requests per second per host,
+                            0 = unlimited (default: 5)
+
+  -h, --help                Show this message
+`;
+
+/** Parse command-line options */
+function parseOptions() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        offline: { type: "boolean", default: false },
+        year: { type: "string", multiple: true },
+        contract: { type: "string" },
+        source: { type: "string", default: "file" },
+        "contracts-file": { type: "string", default: DEFAULT_CONTRACTS_FILE },
+        "source-year": { type: "string" },
+        farm: { type: "string" },
+        state: { type: "string" },
+        "data-dir": { type: "string", default: DEFAULT_DATA_DIR },
+        "grower-list": { type: "string", default: DEFAULT_GROWER_LIST },
+        "missing-beds": { type: "string", default: "retire" },
+        "quarantine-dir": { type: "string", default: DEFAULT_QUARANTINE_DIR },
+        "run-log": { type: "string", default: DEFAULT_RUN_LOG },
+        force: { type: "boolean", default: false },
+        "dry-run": { type: "boolean", default: false },
+        report: { type: "string", default: DEFAULT_DRY_RUN_REPORT },
+        resume: { type: "boolean", default: false },
+        "retry-failed": { type: "string" },
+        checkpoint: { type: "string", default: DEFAULT_CHECKPOINT_FILE },
+        "api-url": { type: "string", default: process.env.OCEANSPRAY_API_URL || DEFAULT_API_URL },
+        token: { type: "string" },
+        "token-file": { type: "string" },
+        "write-mode": { type: "string", default: "row" },
+        concurrency: { type: "string", default: "4" },
+        retries: { type: "string", default: "3" },
+        rate: { type: "string", default: "5" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    }));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  for (const name of ["concurrency", "retries", "rate"]) {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < 0 || (name === "concurrency" && value < 1)) {
+      console.error(`❌ Invalid --${name} value: ${values[name]}`);
+      process.exit(1);
+    }
+    values[name] = value;
+  }
+
+  if (!WRITE_MODES.includes(values["write-mode"])) {
+    console.error(`❌ Invalid --write-mode value: ${values["write-mode"]} (use ${WRITE_MODES.join(", ")})`);
     process.exit(1);
   }
 
-  const contents = fs.readFileSync(CONTRACTS_FILE, "utf8");
-  return contents
-    .split("\n")
-    .map((line) => line.trim())
-    .filter((line) => line.length > 0);
+  if (!CONTRACT_SOURCES.includes(values.source)) {
+    console.error(`❌ Invalid --source value: ${values.source} (use ${CONTRACT_SOURCES.join(", ")})`);
+    process.exit(1);
+  }
+
+  if (values["source-year"] && !/^\d{4}$/.test(values["source-year"])) {
+    console.error(`❌ Invalid --source-year value: ${values["source-year"]}`);
+    process.exit(1);
+  }
+
+  if (values.resume && values["retry-failed"]) {
+    console.error("❌ Use either --resume or --retry-failed, not both");
+    process.exit(1);
+  }
+
+  let apiUrl = null;
+  try {
+    apiUrl = new URL(values["api-url"]);
+  } catch {
+    // Reported below
+  }
+  if (!apiUrl || !["http:", "https:"].includes(apiUrl.protocol)) {
+    console.error(`❌ Invalid --api-url value: ${values["api-url"]} (use an http(s) URL such as ${DEFAULT_API_URL})`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (!MISSING_BED_MODES.includes(values["missing-beds"])) {
+    console.error(`❌ Invalid --missing-beds value: ${values["missing-beds"]} (use ${MISSING_BED_MODES.join(", ")})`);
+    process.exit(1);
+  }
+
+  let years = [];
+  try {
+    years = parseCropYears((values.year || []).join(","));
+  } catch (err) {
+    console.error(`❌ Invalid --year value: ${err.message}`);
+    process.exit(1);
+  }
+
+  let region;
+  try {
+    region = shapeRegion();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  return {
+    offline: values.offline,
+    years,
+    contract: values.contract,
+    source: values.source,
+    contractsFile: values["contracts-file"],
+    sourceYear: values["source-year"] ? Number(values["source-year"]) : null,
+    farm: values.farm,
+    state: values.state,
+    dataDir: values["data-dir"],
+    growerList: values["grower-list"],
+    missingBeds: values["missing-beds"],
+    quarantineDir: values["quarantine-dir"],
+    runLog: values["run-log"],
+    force: values.force,
+    dryRun: values["dry-run"],
+    report: values.report,
+    resume: values.resume,
+    retryFailed: values["retry-failed"],
+    checkpoint: values.checkpoint,
+    apiUrl: values["api-url"],
+    token: values.token,
+    tokenFile: values["token-file"],
+    writeMode: values["write-mode"],
+    shapeRegion: region,
+    concurrency: values.concurrency,
+    retries: values.retries,
+    rate: values.rate,
+  };
 }
 
-/** Insert or update farm record (without address) */
-async function insertOrUpdateFarm(client) {
-  const query = `
-    INSERT INTO farms (name)
-    VALUES (NULL)
-    ON CONFLICT DO NOTHING
-    RETURNING id
-  `;
+/** Resolve the API token from options, environment or an interactive prompt */
+async function resolveToken(options) {
+  if (options.token) return options.token;
+
+  if (options.tokenFile) {
+    if (!fs.existsSync(options.tokenFile)) {
+      console.error(`❌ Token file not found: ${options.tokenFile}`);
+      process.exit(1);
+    }
+    return fs.readFileSync(options.tokenFile, "utf8").trim();
+  }
+
+  if (process.env.OCEANSPRAY_API_TOKEN) return process.env.OCEANSPRAY_API_TOKEN;
+
+  if (process.stdin.isTTY) {
+    const token = await ask("Enter your Ocean Spray API token: ");
+    if (token) return token;
+  }
+
+  console.error("❌ No API token. Use --token, --token-file or set OCEANSPRAY_API_TOKEN.");
+  process.exit(1);
+}
+
+/** Resolve crop years from options, falling back to a prompt on a TTY */
+async function resolveCropYears(options) {
+  if (options.years.length > 0) return options.years;
+
+  const defaultYear = new Date().getFullYear();
+  if (!process.stdin.isTTY) return [defaultYear];
+
+  const yearInput = await ask(`Enter crop year(s), e.g. 2024 or 2022-2024 [default: ${defaultYear}]: `);
+  if (!yearInput) return [defaultYear];
+
+  try {
+    return parseCropYears(yearInput);
+  } catch (err) {
+    console.error(`❌ Invalid crop year: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Contract numbers to fetch: --contract, or the list from --source narrowed
+ * by --farm/--state
+ */
+async function selectContracts(options, roster) {
+  if (options.contract) return [options.contract];
+
+  let contracts;
+  if (options.source === "roster") {
+    contracts = rosterContractNumbers(roster);
+    console.log(`📋 ${contracts.length} contract(s) from grower list ${options.growerList}`);
+  } else if (options.source === "db") {
+    const stored = await dbContractNumbers(pool, options.sourceYear);
+    contracts = stored.contractNumbers;
+    console.log(`📋 ${contracts.length} contract(s) in the database for crop year ${stored.cropYear ?? "(none)"}`);
+  } else {
+    try {
+      contracts = readContractFile(options.contractsFile);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  const filtered = await narrowContracts(contracts, options, roster);
+  if (filtered.length === 0) {
+    console.error("❌ No contracts selected. Nothing to fetch.");
+    process.exit(1);
+  }
+  return filtered;
+}
+
+/** Apply --farm/--state to a contract list, reporting how many matched */
+async function narrowContracts(contracts, options, roster) {
+  if (!options.farm && !options.state) return contracts;
+
+  const filtered = await filterContracts(pool, contracts, { farm: options.farm, state: options.state, roster });
+  const filters = [options.farm && `farm "${options.farm}"`, options.state && `state ${options.state}`].filter(Boolean).join(" and ");
+  console.log(`🔎 ${filtered.length} of ${contracts.length} contract(s) match ${filters}`);
+  return filtered;
+}
+
+/**
+ * Contract/year items that failed at the API or DB stage in a previous run
+ * (latest run when runId is null). Reads fetch_runs, falling back to the run log.
+ * Also returns the run's mode ("api" or "offline") so the retry repeats it.
+ */
+async function loadFailedItems(runId, runLog) {
+  let run;
+  try {
+    run = await readFetchRuns(pool, runId);
+  } catch (err) {
+    console.warn(`⚠️  Could not read fetch_runs (${err.message}); using ${runLog}`);
+    try {
+      run = readRunLog(runLog, runId);
+    } catch (logErr) {
+      console.error(`❌ ${logErr.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (!run.runId || run.entries.length === 0) {
+    console.error(`❌ No results found for run ${runId || "(latest)"}`);
+    process.exit(1);
+  }
+
+  return {
+    runId: run.runId,
+    mode: run.mode,
+    items: run.entries
+      .filter(entry => failureReason(entry))
+      .map(entry => ({ contractNumber: entry.contractNumber, cropYear: entry.cropYear }))
+  };
+}
+
+/** List saved contract files under {dataDir}/{cropYear}/ for offline re-import */
+function listSavedContracts(dataDir, years, contractNumber) {
+  if (!fs.existsSync(dataDir)) {
+    console.error(`❌ Missing ${dataDir}. Nothing to re-import.`);
+    process.exit(1);
+  }
 
-  // For now, create a farm with NULL name (can be updated later with actual farm data)
-  // We'll just insert a farm if it doesn't exist based on contract
-  const result = await client.query(query);
+  // Default to every crop year directory that has been fetched
+  const cropYears = years.length > 0
+    ? years
+    : fs.readdirSync(dataDir)
+        .filter((name) => /^\d{4}$/.test(name))
+        .map(Number)
+        .sort((a, b) => a - b);
+
+  const items = [];
+  for (const cropYear of cropYears) {
+    const yearDir = path.join(dataDir, String(cropYear));
+    if (!fs.existsSync(yearDir)) {
+      console.warn(`⚠️  No saved data for crop year ${cropYear} (${yearDir} not found)`);
+      continue;
+    }
+
+    const contractNumbers = fs.readdirSync(yearDir)
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => path.basename(name, ".json"))
+      .filter((name) => !contractNumber || name === contractNumber)
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
 
-  if (result.rows.length > 0) {
-    return result.rows[0].id;
+    for (const number of contractNumbers) {
+      items.push({ contractNumber: number, cropYear });
+    }
   }
 
-  // If no rows returned (conflict), we need to get existing farm
-  // For simplicity, just create a new farm each time for now
-  const insertQuery = `INSERT INTO farms DEFAULT VALUES RETURNING id`;
-  const insertResult = await client.query(insertQuery);
-  return insertResult.rows[0].id;
+  return items;
+}
+
+/**
+ * Resolve the farm a contract belongs to, creating it only when no existing
+ * farm matches. Lookup order:
+ *   1. Stable grower key from the grower list (bp:<bpId>)
+ *   2. The farm already holding this contract number in another crop year
+ *   3. Name grower key (normalised bpName), only if exactly one farm has it;
+ *      growers can share a name, so this is a heuristic
+ *   4. A farm with one of the contract's addresses
+ * Returns { id, created }.
+ */
+async function resolveFarm(client, contractNumber, addresses, roster) {
+  const grower = roster.get(contractNumber);
+  const growerKey = grower?.growerKey || null;
+  const stableKey = isStableGrowerKey(growerKey);
+
+  // grower_key is not unique, so serialise workers resolving the same grower
+  // until this transaction commits
+  if (growerKey) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [growerKey]);
+  }
+
+  let farmId = null;
+
+  if (stableKey) {
+    const result = await client.query('SELECT id FROM farms WHERE grower_key = $1 ORDER BY id LIMIT 1', [growerKey]);
+    farmId = result.rows[0]?.id ?? null;
+  }
+
+  if (!farmId) {
+    const result = await client.query(
+      `SELECT farm_id FROM contracts
+       WHERE contract_number = $1 AND farm_id IS NOT NULL
+       ORDER BY crop_year DESC
+       LIMIT 1`,
+      [contractNumber]
+    );
+    farmId = result.rows[0]?.farm_id ?? null;
+  }
+
+  if (!farmId && growerKey && !stableKey) {
+    const result = await client.query('SELECT id FROM farms WHERE grower_key = $1 LIMIT 2', [growerKey]);
+    farmId = result.rows.length === 1 ? result.rows[0].id : null;
+  }
+
+  for (const address of addresses) {
+    if (farmId) break;
+    const result = await client.query(
+      `SELECT farm_id FROM farm_addresses
+       WHERE street IS NOT DISTINCT FROM $1
+         AND city IS NOT DISTINCT FROM $2
+         AND state IS NOT DISTINCT FROM $3
+         AND postal_code IS NOT DISTINCT FROM $4
+       ORDER BY farm_id
+       LIMIT 1`,
+      [address.Street1, address.City, address.State, address.PostalCode]
+    );
+    farmId = result.rows[0]?.farm_id ?? null;
+  }
+
+  if (farmId) {
+    // Backfill identity on farms created before the grower key existed; a
+    // stable key also replaces a name key, unless another farm already has it
+    if (growerKey) {
+      await client.query(
+        `UPDATE farms
+         SET grower_key = $2, name = COALESCE(name, $3)
+         WHERE id = $1
+           AND (grower_key IS NULL OR ($4 AND grower_key NOT LIKE 'bp:%'))
+           AND NOT ($4 AND EXISTS (SELECT 1 FROM farms WHERE grower_key = $2))`,
+        [farmId, growerKey, grower.name, stableKey]
+      );
+    }
+    return { id: farmId, created: false };
+  }
+
+  const insertResult = await client.query(
+    `INSERT INTO farms (name, grower_key)
+     VALUES ($1, $2)
+     RETURNING id, TRUE AS created`,
+    [grower?.name || null, growerKey]
+  );
+  return insertResult.rows[0];
 }
 
 /** Insert or update farm address */
@@ -112,21 +574,34 @@ async function insertOrUpdateFarmAddress(client, farmId, addressData) {
   return result.rows[0].id;
 }
 
-/** Insert or update contract record */
-async function insertOrUpdateContract(client, apiContractId, contractNumber, farmId, cropYear) {
+/** Store the full API response this ingest is built from. Returns its id. */
+async function insertRawPayload(client, contractNumber, cropYear, payload, { payloadHash, source, runId }) {
+  const result = await client.query(
+    `INSERT INTO raw_payloads (contract_number, crop_year, payload, payload_hash, record_count, source, fetch_run_id)
+     VALUES ($1, $2, $3::jsonb, $4, $5, $6, $7)
+     RETURNING id`,
+    [contractNumber, cropYear, JSON.stringify(payload), payloadHash, payload.length, source, runId]
+  );
+  return result.rows[0].id;
+}
+
+/** Insert or update contract record. Returns { id, created } */
+async function insertOrUpdateContract(client, apiContractId, contractNumber, farmId, cropYear, payloadHash, rawPayloadId) {
   const query = `
-    INSERT INTO contracts (api_contract_id, contract_number, farm_id, crop_year)
-    VALUES ($1, $2, $3, $4)
+    INSERT INTO contracts (api_contract_id, contract_number, farm_id, crop_year, payload_hash, raw_payload_id)
+    VALUES ($1, $2, $3, $4, $5, $6)
     ON CONFLICT (api_contract_id, crop_year)
     DO UPDATE SET
       contract_number = EXCLUDED.contract_number,
       farm_id = EXCLUDED.farm_id,
+      payload_hash = EXCLUDED.payload_hash,
+      raw_payload_id = EXCLUDED.raw_payload_id,
       updated_at = CURRENT_TIMESTAMP
-    RETURNING id
+    RETURNING id, (xmax = 0) AS created
   `;
 
-  const result = await client.query(query, [apiContractId, contractNumber, farmId, cropYear]);
-  return result.rows[0].id;
+  const result = await client.query(query, [apiContractId, contractNumber, farmId, cropYear, payloadHash, rawPayloadId]);
+  return result.rows[0];
 }
 
 /** Insert or update bed block record */
@@ -136,6 +611,7 @@ async function insertOrUpdateBedBlock(client, contractId, blockName) {
     VALUES ($1, $2)
     ON CONFLICT (contract_id, name)
     DO UPDATE SET
+      retired_at = NULL,
       updated_at = CURRENT_TIMESTAMP
     RETURNING id
   `;
@@ -144,16 +620,68 @@ async function insertOrUpdateBedBlock(client, contractId, blockName) {
   return result.rows[0].id;
 }
 
-/** Insert or update bed record */
-async function insertOrUpdateBed(client, bedData, contractId, bedBlockId, farmAddressId) {
+/** Bed columns whose changes are recorded in bed_history */
+const TRACKED_BED_FIELDS = [
+  "bed_name",
+  "handler_section_name",
+  "acres",
+  "variety",
+  "plant_date",
+  "fruit_type_export",
+  "fruit_type_global_gap",
+  "fruit_type_organic",
+  "fruit_type_processed",
+  "fruit_type_white"
+];
+
+/** Compare a bed row before and after upsert, returning field-level changes */
+function diffBedRows(oldRow, newRow) {
+  if (!oldRow) return [];
+
+  const changes = [];
+  for (const field of TRACKED_BED_FIELDS) {
+    const oldValue = oldRow[field] ?? null;
+    const newValue = newRow[field] ?? null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({
+        field,
+        oldValue: oldValue === null ? null : String(oldValue),
+        newValue: newValue === null ? null : String(newValue)
+      });
+    }
+  }
+  return changes;
+}
+
+/** Record field-level bed changes for this fetch run */
+async function insertBedHistory(client, bedId, contractId, apiBedHistoryId, changes, runId) {
+  for (const change of changes) {
+    await client.query(
+      `INSERT INTO bed_history (bed_id, contract_id, api_bed_history_id, field_name, old_value, new_value, fetch_run_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [bedId, contractId, apiBedHistoryId, change.field, change.oldValue, change.newValue, runId]
+    );
+  }
+}
+
+/**
+ * Insert or update bed record.
+ * Returns { id, created, changes } where changes lists tracked fields that
+ * differ from the previously stored row (empty for new beds).
+ */
+async function insertOrUpdateBed(client, bedData, contractId, bedBlockId, farmAddressId, rawPayloadId) {
+  // The "previous" CTE reads the row as it was before this statement's upsert
   const query = `
+    WITH previous AS (
+      SELECT * FROM beds WHERE api_bed_history_id = $1
+    )
     INSERT INTO beds (
       api_bed_history_id, contract_id, bed_block_id, farm_address_id,
       bed_name, handler_section_name, acres, variety, plant_date,
       fruit_type_export, fruit_type_global_gap, fruit_type_organic,
-      fruit_type_processed, fruit_type_white
+      fruit_type_processed, fruit_type_white, raw_payload_id
     )
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
     ON CONFLICT (api_bed_history_id)
     DO UPDATE SET
       contract_id = EXCLUDED.contract_id,
@@ -169,8 +697,13 @@ async function insertOrUpdateBed(client, bedData, contractId, bedBlockId, farmAd
       fruit_type_organic = EXCLUDED.fruit_type_organic,
       fruit_type_processed = EXCLUDED.fruit_type_processed,
       fruit_type_white = EXCLUDED.fruit_type_white,
+      raw_payload_id = EXCLUDED.raw_payload_id,
+      retired_at = NULL,
       updated_at = CURRENT_TIMESTAMP
-    RETURNING id
+    RETURNING
+      id,
+      to_jsonb(beds.*) AS new_row,
+      (SELECT to_jsonb(previous.*) FROM previous) AS old_row
   `;
 
   const result = await client.query(query, [
@@ -187,28 +720,417 @@ async function insertOrUpdateBed(client, bedData, contractId, bedBlockId, farmAd
     bedData.FruitType.GlobalGap,
     bedData.FruitType.Organic,
     bedData.FruitType.Processed,
-    bedData.FruitType.White
+    bedData.FruitType.White,
+    rawPayloadId
   ]);
 
-  return result.rows[0].id;
+  const row = result.rows[0];
+  return { id: row.id, created: row.old_row === null, changes: diffBedRows(row.old_row, row.new_row) };
 }
 
-/** Insert or update shape record */
-async function insertOrUpdateShape(client, bedId, shape) {
-  // First, delete existing shapes for this bed to avoid duplicates
-  await client.query('DELETE FROM shapes WHERE bed_id = $1', [bedId]);
+/** [lon, lat] of the farm's first geocoded address, or null */
+async function farmLocation(client, farmId) {
+  const result = await client.query(
+    `SELECT longitude, latitude FROM farm_addresses
+     WHERE farm_id = $1 AND latitude IS NOT NULL AND longitude IS NOT NULL
+     ORDER BY id LIMIT 1`,
+    [farmId]
+  );
+  const row = result.rows[0];
+  return row ? [Number(row.longitude), Number(row.latitude)] : null;
+}
+
+/**
+ * Validate and repair every shape in a contract payload (see inspectShape).
+ * Swapped lat/lon is judged against the growing region and the farm's
+ * geocoded `location` (else the contract's other shapes).
+ * Returns a Map of bed record → [{ type, value, geojson }]; geojson is null
+ * for shapes that could not be repaired, which are stored without geometry
+ * and listed in changes.invalidShapes.
+ */
+function prepareShapes(contractData, stats, changes, { location = null, region } = {}) {
+  const records = contractData.filter(r => Array.isArray(r.Shape) && r.Shape.length > 0);
+  const reference = shapeReference(records.flatMap(r => r.Shape.map(shape => shape.value)), { location, region });
+  const prepared = new Map();
+
+  for (const record of records) {
+    prepared.set(record, record.Shape.map((shape, i) => {
+      const inspection = inspectShape(shape.value, { reference, region });
+      if (inspection.problems.length > 0) {
+        stats.shapes_invalid++;
+        changes.invalidShapes.push({
+          bedHistoryId: record.BedHistoryId,
+          bedName: record.HandlerSectionName,
+          shapeIndex: i,
+          problems: inspection.problems
+        });
+      } else if (inspection.repairs.length > 0) {
+        stats.shapes_repaired++;
+      }
+
+      return {
+        type: shape.type,
+        value: shape.value,
+        geojson: inspection.coordinates ? JSON.stringify({ type: 'Polygon', coordinates: inspection.coordinates }) : null
+      };
+    }));
+  }
+
+  return prepared;
+}
+
+/**
+ * Replace a bed's shapes with the prepared shapes from the payload. A bed may
+ * have several shapes, so the old ones are deleted once before inserting them
+ * all. Returns { previous, inserted }: the shape values it deleted and the
+ * number of rows inserted.
+ */
+async function replaceBedShapes(client, bedId, shapes) {
+  const deleted = await client.query('DELETE FROM shapes WHERE bed_id = $1 RETURNING shape_value', [bedId]);
 
   const query = `
-    INSERT INTO shapes (bed_id, shape_type, shape_value)
-    VALUES ($1, $2, $3)
+    INSERT INTO shapes (bed_id, shape_type, shape_value, geom)
+    VALUES ($1, $2, $3, ST_SetSRID(ST_GeomFromGeoJSON($4::text), 4326))
     RETURNING id
   `;
 
-  await client.query(query, [bedId, shape.type, shape.value]);
+  let inserted = 0;
+  for (const shape of shapes) {
+    const result = await client.query(query, [bedId, shape.type, shape.value, shape.geojson]);
+    inserted += result.rowCount;
+  }
+
+  return { previous: deleted.rows.map(row => row.shape_value), inserted };
+}
+
+/**
+ * Handle beds and bed blocks of this contract that were not in the latest
+ * payload. mode "retire" stamps retired_at, "delete" removes them (shapes
+ * cascade), "keep" leaves them untouched.
+ * Returns { beds, bed_blocks } counts plus the affected bedHistoryIds/blockNames.
+ */
+async function reconcileMissingBeds(client, contractId, bedHistoryIds, blockNames, mode) {
+  if (mode === "keep") return { beds: 0, bed_blocks: 0, bedHistoryIds: [], blockNames: [] };
+
+  if (mode === "delete") {
+    const beds = await client.query(
+      `DELETE FROM beds
+       WHERE contract_id = $1 AND NOT (api_bed_history_id = ANY($2::int[]))
+       RETURNING api_bed_history_id`,
+      [contractId, bedHistoryIds]
+    );
+    const blocks = await client.query(
+      `DELETE FROM bed_blocks
+       WHERE contract_id = $1 AND NOT (name = ANY($2::text[]))
+       RETURNING name`,
+      [contractId, blockNames]
+    );
+    return removedSummary(beds, blocks);
+  }
+
+  const beds = await client.query(
+    `UPDATE beds SET retired_at = CURRENT_TIMESTAMP
+     WHERE contract_id = $1 AND retired_at IS NULL
+       AND NOT (api_bed_history_id = ANY($2::int[]))
+     RETURNING api_bed_history_id`,
+    [contractId, bedHistoryIds]
+  );
+  const blocks = await client.query(
+    `UPDATE bed_blocks SET retired_at = CURRENT_TIMESTAMP
+     WHERE contract_id = $1 AND retired_at IS NULL
+       AND NOT (name = ANY($2::text[]))
+     RETURNING name`,
+    [contractId, blockNames]
+  );
+  return removedSummary(beds, blocks);
+}
+
+function removedSummary(beds, blocks) {
+  return {
+    beds: beds.rowCount,
+    bed_blocks: blocks.rowCount,
+    bedHistoryIds: beds.rows.map(row => row.api_bed_history_id),
+    blockNames: blocks.rows.map(row => row.name)
+  };
+}
+
+/**
+ * Write a contract's addresses, blocks, beds, bed history and shapes one
+ * statement per row (the original write path)
+ */
+async function writeBedsRowByRow(client, contractData, { farmId, contractId, runId, rawPayloadId, shapes }, stats, changes) {
+  // Track unique addresses and bed blocks
+  const addressCache = new Map(); // Key: address string, Value: farm_address_id
+  const bedBlockCache = new Map(); // Key: block name, Value: bed_block_id
+
+  // Process each bed record
+  for (const bedRecord of contractData) {
+    // Create unique address key
+    const addressKey = `${bedRecord.Address.Street1}|${bedRecord.Address.City}|${bedRecord.Address.State}|${bedRecord.Address.PostalCode}`;
+
+    // Get or create farm address
+    let farmAddressId;
+    if (addressCache.has(addressKey)) {
+      farmAddressId = addressCache.get(addressKey);
+    } else {
+      farmAddressId = await insertOrUpdateFarmAddress(client, farmId, bedRecord.Address);
+      addressCache.set(addressKey, farmAddressId);
+      stats.farm_addresses++;
+    }
+
+    // Get or create bed block
+    const blockName = bedRecord.BogName;
+    let bedBlockId;
+    if (bedBlockCache.has(blockName)) {
+      bedBlockId = bedBlockCache.get(blockName);
+    } else {
+      bedBlockId = await insertOrUpdateBedBlock(client, contractId, blockName);
+      bedBlockCache.set(blockName, bedBlockId);
+      stats.bed_blocks++;
+    }
+
+    // Insert bed, recording any field changes since the last fetch
+    const bed = await insertOrUpdateBed(client, bedRecord, contractId, bedBlockId, farmAddressId, rawPayloadId);
+    const bedId = bed.id;
+    stats.beds++;
+
+    const bedRef = { bedHistoryId: bedRecord.BedHistoryId, bedName: bedRecord.HandlerSectionName };
+    if (bed.created) {
+      changes.bedsAdded.push(bedRef);
+    }
+    if (bed.changes.length > 0) {
+      await insertBedHistory(client, bedId, contractId, bedRecord.BedHistoryId, bed.changes, runId);
+      stats.bed_changes += bed.changes.length;
+      changes.bedsChanged.push({ ...bedRef, changes: bed.changes });
+    }
+
+    // Insert shapes for this bed
+    if (shapes.has(bedRecord)) {
+      const { previous: previousShapes, inserted } = await replaceBedShapes(client, bedId, shapes.get(bedRecord));
+      stats.shapes += inserted;
+
+      const newShapes = bedRecord.Shape.map(shape => shape.value);
+      if (!bed.created && JSON.stringify([...previousShapes].sort()) !== JSON.stringify([...newShapes].sort())) {
+        changes.shapesReplaced.push({ ...bedRef, before: previousShapes.length, after: newShapes.length });
+      }
+    }
+  }
 }
 
-/** Insert all data from JSON response into database */
-async function insertIntoDatabase(contractData, cropYear) {
+/** Address key shared by the bulk path's input rows and RETURNING rows */
+function bulkAddressKey(street, city, state, postalCode) {
+  return [street, city, state, postalCode].map(part => part ?? "").join("|");
+}
+
+/**
+ * Write a contract's addresses, blocks, beds, bed history and shapes with a
+ * handful of multi-row statements (unnest arrays) instead of one per row.
+ * Upsert semantics match writeBedsRowByRow.
+ */
+async function writeBedsBulk(client, contractData, { farmId, contractId, runId, rawPayloadId, shapes }, stats, changes) {
+  // Farm addresses: one upsert for the distinct addresses in the payload
+  const addresses = new Map();
+  for (const record of contractData) {
+    const a = record.Address;
+    addresses.set(bulkAddressKey(a.Street1, a.City, a.State, a.PostalCode), a);
+  }
+  const addressRows = [...addresses.values()];
+  const addressResult = await client.query(
+    `INSERT INTO farm_addresses (farm_id, street, street2, city, state, postal_code, country)
+     SELECT $1::int, * FROM unnest($2::text[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[])
+     ON CONFLICT (farm_id, street, city, state, postal_code)
+     DO UPDATE SET
+       street2 = EXCLUDED.street2,
+       country = EXCLUDED.country,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING id, street, city, state, postal_code`,
+    [
+      farmId,
+      addressRows.map(a => a.Street1),
+      addressRows.map(a => a.Street2),
+      addressRows.map(a => a.City),
+      addressRows.map(a => a.State),
+      addressRows.map(a => a.PostalCode),
+      addressRows.map(a => a.Country)
+    ]
+  );
+  const addressIds = new Map(addressResult.rows.map(row =>
+    [bulkAddressKey(row.street, row.city, row.state, row.postal_code), row.id]
+  ));
+  stats.farm_addresses = addressResult.rowCount;
+
+  // Bed blocks: one upsert for the distinct block names
+  const blockNames = [...new Set(contractData.map(record => record.BogName))];
+  const blockResult = await client.query(
+    `INSERT INTO bed_blocks (contract_id, name)
+     SELECT $1::int, * FROM unnest($2::text[])
+     ON CONFLICT (contract_id, name)
+     DO UPDATE SET
+       retired_at = NULL,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING id, name`,
+    [contractId, blockNames]
+  );
+  const blockIds = new Map(blockResult.rows.map(row => [row.name, row.id]));
+  stats.bed_blocks = blockResult.rowCount;
+
+  // Beds: one upsert, capturing each bed's previous row for history/diffs
+  const bedResult = await client.query(
+    `WITH previous AS (
+       SELECT * FROM beds WHERE api_bed_history_id = ANY($1::int[])
+     )
+     INSERT INTO beds (
+       api_bed_history_id, contract_id, bed_block_id, farm_address_id,
+       bed_name, handler_section_name, acres, variety, plant_date,
+       fruit_type_export, fruit_type_global_gap, fruit_type_organic,
+       fruit_type_processed, fruit_type_white, raw_payload_id
+     )
+     SELECT r.api_bed_history_id, $2::int, r.bed_block_id, r.farm_address_id,
+            r.bed_name, r.bed_name, r.acres, r.variety, r.plant_date,
+            r.fruit_type_export, r.fruit_type_global_gap, r.fruit_type_organic,
+            r.fruit_type_processed, r.fruit_type_white, $14::int
+     FROM unnest(
+       $1::int[], $3::int[], $4::int[], $5::text[], $6::numeric[], $7::text[], $8::timestamp[],
+       $9::boolean[], $10::boolean[], $11::boolean[], $12::boolean[], $13::boolean[]
+     ) AS r(
+       api_bed_history_id, bed_block_id, farm_address_id, bed_name, acres, variety, plant_date,
+       fruit_type_export, fruit_type_global_gap, fruit_type_organic,
+       fruit_type_processed, fruit_type_white
+     )
+     ON CONFLICT (api_bed_history_id)
+     DO UPDATE SET
+       contract_id = EXCLUDED.contract_id,
+       bed_block_id = EXCLUDED.bed_block_id,
+       farm_address_id = EXCLUDED.farm_address_id,
+       bed_name = EXCLUDED.bed_name,
+       handler_section_name = EXCLUDED.handler_section_name,
+       acres = EXCLUDED.acres,
+       variety = EXCLUDED.variety,
+       plant_date = EXCLUDED.plant_date,
+       fruit_type_export = EXCLUDED.fruit_type_export,
+       fruit_type_global_gap = EXCLUDED.fruit_type_global_gap,
+       fruit_type_organic = EXCLUDED.fruit_type_organic,
+       fruit_type_processed = EXCLUDED.fruit_type_processed,
+       fruit_type_white = EXCLUDED.fruit_type_white,
+       raw_payload_id = EXCLUDED.raw_payload_id,
+       retired_at = NULL,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING
+       id,
+       api_bed_history_id,
+       to_jsonb(beds.*) AS new_row,
+       (SELECT to_jsonb(p.*) FROM previous p WHERE p.api_bed_history_id = beds.api_bed_history_id) AS old_row`,
+    [
+      contractData.map(r => r.BedHistoryId),
+      contractId,
+      contractData.map(r => blockIds.get(r.BogName)),
+      contractData.map(r => addressIds.get(bulkAddressKey(r.Address.Street1, r.Address.City, r.Address.State, r.Address.PostalCode))),
+      contractData.map(r => r.HandlerSectionName), // bed_name and handler_section_name
+      contractData.map(r => r.Acres),
+      contractData.map(r => r.Variety),
+      contractData.map(r => r.PlantDate),
+      contractData.map(r => r.FruitType.Export),
+      contractData.map(r => r.FruitType.GlobalGap),
+      contractData.map(r => r.FruitType.Organic),
+      contractData.map(r => r.FruitType.Processed),
+      contractData.map(r => r.FruitType.White),
+      rawPayloadId
+    ]
+  );
+  const beds = new Map(bedResult.rows.map(row => [row.api_bed_history_id, row]));
+  stats.beds = bedResult.rowCount;
+
+  // Bed history: one insert for every changed field of every bed
+  const history = [];
+  for (const record of contractData) {
+    const row = beds.get(record.BedHistoryId);
+    const bedRef = { bedHistoryId: record.BedHistoryId, bedName: record.HandlerSectionName };
+    const bedChanges = diffBedRows(row.old_row, row.new_row);
+
+    if (row.old_row === null) {
+      changes.bedsAdded.push(bedRef);
+    }
+    if (bedChanges.length > 0) {
+      changes.bedsChanged.push({ ...bedRef, changes: bedChanges });
+      bedChanges.forEach(change => history.push({ bedId: row.id, apiBedHistoryId: record.BedHistoryId, ...change }));
+    }
+  }
+  if (history.length > 0) {
+    await client.query(
+      `INSERT INTO bed_history (bed_id, api_bed_history_id, field_name, old_value, new_value, fetch_run_id, contract_id)
+       SELECT *, $6::uuid, $7::int FROM unnest($1::int[], $2::int[], $3::text[], $4::text[], $5::text[])`,
+      [
+        history.map(h => h.bedId),
+        history.map(h => h.apiBedHistoryId),
+        history.map(h => h.field),
+        history.map(h => h.oldValue),
+        history.map(h => h.newValue),
+        runId,
+        contractId
+      ]
+    );
+    stats.bed_changes = history.length;
+  }
+
+  // Shapes: delete the stored shapes of every bed that has shapes, then insert
+  const shapedRecords = [...shapes.keys()];
+  if (shapedRecords.length === 0) return;
+
+  const deleted = await client.query(
+    'DELETE FROM shapes WHERE bed_id = ANY($1::int[]) RETURNING bed_id, shape_value',
+    [shapedRecords.map(r => beds.get(r.BedHistoryId).id)]
+  );
+  const previousShapes = new Map();
+  for (const row of deleted.rows) {
+    if (!previousShapes.has(row.bed_id)) previousShapes.set(row.bed_id, []);
+    previousShapes.get(row.bed_id).push(row.shape_value);
+  }
+
+  // One row per shape, so beds with several shapes keep all of them
+  const shapeRows = shapedRecords.flatMap(r =>
+    shapes.get(r).map(shape => ({ ...shape, bedId: beds.get(r.BedHistoryId).id }))
+  );
+  const inserted = await client.query(
+    `INSERT INTO shapes (bed_id, shape_type, shape_value, geom)
+     SELECT r.bed_id, r.shape_type, r.shape_value, ST_SetSRID(ST_GeomFromGeoJSON(r.geojson), 4326)
+     FROM unnest($1::int[], $2::text[], $3::text[], $4::text[]) AS r(bed_id, shape_type, shape_value, geojson)`,
+    [
+      shapeRows.map(shape => shape.bedId),
+      shapeRows.map(shape => shape.type),
+      shapeRows.map(shape => shape.value),
+      shapeRows.map(shape => shape.geojson)
+    ]
+  );
+  stats.shapes = inserted.rowCount;
+
+  for (const record of shapedRecords) {
+    const row = beds.get(record.BedHistoryId);
+
+    const before = previousShapes.get(row.id) || [];
+    const after = record.Shape.map(shape => shape.value);
+    if (row.old_row !== null && JSON.stringify([...before].sort()) !== JSON.stringify([...after].sort())) {
+      changes.shapesReplaced.push({
+        bedHistoryId: record.BedHistoryId,
+        bedName: record.HandlerSectionName,
+        before: before.length,
+        after: after.length
+      });
+    }
+  }
+}
+
+/**
+ * Insert all data from JSON response into database.
+ * `present` lists the bed ids and block names in the full payload (including
+ * records rejected by validation) so reconciliation only removes beds that
+ * are really gone.
+ * Returns { success, stats, changes }; changes describes what the ingest did
+ * to the contract's beds. With dryRun the transaction is rolled back.
+ */
+async function insertIntoDatabase(contractData, cropYear, { roster, runId, mode, missingBeds, payloadHash = null, rawPayload = contractData, dryRun = false, writeMode = "row", shapeRegion: region }, present = {
+  bedHistoryIds: contractData.map(record => record.BedHistoryId),
+  blockNames: [...new Set(contractData.map(record => record.BogName))]
+}) {
   const client = await pool.connect();
   const stats = {
     farms: 0,
@@ -216,7 +1138,21 @@ async function insertIntoDatabase(contractData, cropYear) {
     contracts: 0,
     bed_blocks: 0,
     beds: 0,
-    shapes: 0
+    shapes: 0,
+    shapes_repaired: 0,
+    shapes_invalid: 0,
+    bed_changes: 0,
+    beds_removed: 0,
+    bed_blocks_removed: 0
+  };
+  const changes = {
+    contract: null, // "new" or "updated"
+    bedsAdded: [],
+    bedsChanged: [],
+    bedsRemoved: [],
+    bedBlocksRemoved: [],
+    shapesReplaced: [],
+    invalidShapes: []
   };
 
   try {
@@ -228,150 +1164,379 @@ async function insertIntoDatabase(contractData, cropYear) {
 
     const firstRecord = contractData[0];
 
-    // Create farm (one per contract for now)
-    const farmId = await insertOrUpdateFarm(client);
-    stats.farms = 1;
+    // Keep the full response (including any quarantined records) for provenance
+    const rawPayloadId = await insertRawPayload(client, firstRecord.ContractNumber, cropYear, rawPayload, {
+      payloadHash,
+      source: mode,
+      runId
+    });
+
+    // Resolve the grower's farm (shared across contracts and crop years)
+    const farm = await resolveFarm(
+      client,
+      firstRecord.ContractNumber,
+      contractData.map(record => record.Address).filter(Boolean),
+      roster
+    );
+    const farmId = farm.id;
+    stats.farms = farm.created ? 1 : 0;
 
     // Insert contract and get internal ID
-    const contractId = await insertOrUpdateContract(
+    const contract = await insertOrUpdateContract(
       client,
       firstRecord.ContractId,
       firstRecord.ContractNumber,
       farmId,
-      cropYear
+      cropYear,
+      payloadHash,
+      rawPayloadId
     );
+    const contractId = contract.id;
     stats.contracts = 1;
+    changes.contract = contract.created ? "new" : "updated";
+
+    // Addresses, blocks, beds, bed history and shapes
+    const location = await farmLocation(client, farmId);
+    const shapes = prepareShapes(contractData, stats, changes, { location, region });
+    const writeBeds = writeMode === "bulk" ? writeBedsBulk : writeBedsRowByRow;
+    await writeBeds(client, contractData, { farmId, contractId, runId, rawPayloadId, shapes }, stats, changes);
+
+    // Beds/blocks dropped from the contract since the last fetch
+    const removed = await reconcileMissingBeds(
+      client,
+      contractId,
+      present.bedHistoryIds,
+      present.blockNames,
+      missingBeds
+    );
+    stats.beds_removed = removed.beds;
+    stats.bed_blocks_removed = removed.bed_blocks;
+    changes.bedsRemoved = removed.bedHistoryIds;
+    changes.bedBlocksRemoved = removed.blockNames;
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return { success: true, stats, changes };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    return { success: false, error: withMigrationHint(error), stats };
+  } finally {
+    client.release();
+  }
+}
+
+// Undefined column / function / object / table errors that mean the database
+// predates shapes.geom or does not have PostGIS enabled
+const MISSING_GEOMETRY_CODES = new Set(["42703", "42883", "42704", "42P01"]);
 
-    // Track unique addresses and bed blocks
-    const addressCache = new Map(); // Key: address string, Value: farm_address_id
-    const bedBlockCache = new Map(); // Key: block name, Value: bed_block_id
-
-    // Process each bed record
-    for (const bedRecord of contractData) {
-      // Create unique address key
-      const addressKey = `${bedRecord.Address.Street1}|${bedRecord.Address.City}|${bedRecord.Address.State}|${bedRecord.Address.PostalCode}`;
-
-      // Get or create farm address
-      let farmAddressId;
-      if (addressCache.has(addressKey)) {
-        farmAddressId = addressCache.get(addressKey);
-      } else {
-        farmAddressId = await insertOrUpdateFarmAddress(client, farmId, bedRecord.Address);
-        addressCache.set(addressKey, farmAddressId);
-        stats.farm_addresses++;
+/**
+ * Ingest error message, pointing at the shape geometry migration when the
+ * error comes from shapes.geom or PostGIS being missing
+ */
+function withMigrationHint(error) {
+  if (MISSING_GEOMETRY_CODES.has(error.code) && /\bgeom\b|geometry|geography|postgis|\bst_\w+/i.test(error.message)) {
+    return `${error.message} (run node src/database/migrateAddShapeGeometry.js)`;
+  }
+  return error.message;
+}
+
+/** Payload hash stored by the last successful ingest of a contract/year, or null */
+async function getStoredPayloadHash(contractNumber, cropYear) {
+  const result = await pool.query(
+    `SELECT payload_hash FROM contracts
+     WHERE contract_number = $1 AND crop_year = $2
+     ORDER BY updated_at DESC
+     LIMIT 1`,
+    [contractNumber, cropYear]
+  );
+  return result.rows[0]?.payload_hash ?? null;
+}
+
+/** Write rejected bed records to {quarantineDir}/{cropYear}/{contractNumber}.json for review */
+function writeQuarantine(quarantineDir, contractNumber, cropYear, rejected, runId) {
+  const yearDir = path.join(quarantineDir, String(cropYear));
+  if (!fs.existsSync(yearDir)) fs.mkdirSync(yearDir, { recursive: true });
+
+  const filePath = path.join(yearDir, `${contractNumber}.json`);
+  fs.writeFileSync(filePath, JSON.stringify({
+    contractNumber,
+    cropYear,
+    runId,
+    quarantinedAt: new Date().toISOString(),
+    rejected
+  }, null, 2));
+  return filePath;
+}
+
+/** Insert contract data into the database and record the outcome on result.db */
+async function saveToDatabase(result, contractData, cropYear, ingestOptions) {
+  // Skip all writes when the payload is identical to the last successful ingest
+  const payloadHash = hashPayload(contractData);
+  if (!ingestOptions.force) {
+    try {
+      if (await getStoredPayloadHash(result.contractNumber, cropYear) === payloadHash) {
+        result.db = { success: true, unchanged: true };
+        console.log(`⏭️  UNCHANGED: ${result.contractNumber} - Payload identical to last ingest, database writes skipped`);
+        return;
       }
+    } catch (err) {
+      console.warn(`⚠️  Could not read payload hash for ${result.contractNumber}: ${err.message}`);
+    }
+  }
+
+  // Validate first so malformed records are quarantined instead of failing the contract
+  const validation = validateContractPayload(contractData);
+  if (validation.error) {
+    result.db = { success: false, error: `Invalid payload: ${validation.error}` };
+    console.error(`❌ DB FAILED: ${result.contractNumber} - Invalid payload: ${validation.error}`);
+    return;
+  }
 
-      // Get or create bed block
-      const blockName = bedRecord.BogName;
-      let bedBlockId;
-      if (bedBlockCache.has(blockName)) {
-        bedBlockId = bedBlockCache.get(blockName);
-      } else {
-        bedBlockId = await insertOrUpdateBedBlock(client, contractId, blockName);
-        bedBlockCache.set(blockName, bedBlockId);
-        stats.bed_blocks++;
+  let quarantineFile = null;
+  if (validation.rejected.length > 0) {
+    // A dry run reports rejected records without writing quarantine files.
+    // Without the file the rejects would be lost, so the contract fails.
+    if (!ingestOptions.dryRun) {
+      try {
+        quarantineFile = writeQuarantine(
+          ingestOptions.quarantineDir,
+          result.contractNumber,
+          cropYear,
+          validation.rejected,
+          ingestOptions.runId
+        );
+      } catch (err) {
+        result.db = { success: false, error: `Could not write quarantine file: ${err.message}` };
+        console.error(`❌ DB FAILED: ${result.contractNumber} - ${result.db.error}`);
+        return;
       }
+    }
+    console.warn(`⚠️  INVALID: ${result.contractNumber} - ${validation.rejected.length} of ${contractData.length} bed record(s) rejected${quarantineFile ? `, saved to ${quarantineFile}` : ""}`);
+    for (const rejected of validation.rejected) {
+      console.warn(`     [${rejected.index}] BedHistoryId ${rejected.bedHistoryId ?? "?"}: ${rejected.errors.join("; ")}`);
+    }
+
+    if (validation.valid.length === 0) {
+      result.db = {
+        success: false,
+        error: `All ${contractData.length} bed record(s) failed validation`,
+        rejected: validation.rejected.length,
+        quarantineFile
+      };
+      console.error(`❌ DB FAILED: ${result.contractNumber} - ${result.db.error}`);
+      return;
+    }
+  }
 
-      // Insert bed
-      const bedId = await insertOrUpdateBed(client, bedRecord, contractId, bedBlockId, farmAddressId);
-      stats.beds++;
+  try {
+    const started = performance.now();
+    const dbResult = await insertIntoDatabase(validation.valid, cropYear, { ...ingestOptions, payloadHash, rawPayload: contractData }, validation);
+    const durationMs = Math.round(performance.now() - started);
 
-      // Insert shapes for this bed
-      if (bedRecord.Shape && Array.isArray(bedRecord.Shape)) {
-        for (const shape of bedRecord.Shape) {
-          await insertOrUpdateShape(client, bedId, shape);
-          stats.shapes++;
-        }
+    if (dbResult.success) {
+      result.db = {
+        success: true,
+        stats: dbResult.stats,
+        changes: dbResult.changes,
+        durationMs,
+        rejected: validation.rejected.length,
+        quarantineFile
+      };
+      console.log(`${ingestOptions.dryRun ? "🧪 DRY RUN OK" : "✅ DB SUCCESS"}: ${result.contractNumber} - Inserted ${dbResult.stats.farms} farm(s), ${dbResult.stats.farm_addresses} address(es), ${dbResult.stats.contracts} contract(s), ${dbResult.stats.bed_blocks} block(s), ${dbResult.stats.beds} bed(s), ${dbResult.stats.shapes} shape(s)${dbResult.stats.shapes_repaired > 0 ? ` (${dbResult.stats.shapes_repaired} repaired)` : ""}${dbResult.stats.bed_changes > 0 ? `, ${dbResult.stats.bed_changes} bed field change(s)` : ""}${dbResult.stats.beds_removed > 0 ? `, ${dbResult.stats.beds_removed} missing bed(s) ${ingestOptions.missingBeds === "delete" ? "deleted" : "retired"}` : ""}${validation.rejected.length > 0 ? ` (${validation.rejected.length} record(s) quarantined)` : ""}`);
+      for (const shape of dbResult.changes.invalidShapes) {
+        console.warn(`   ⚠️  Shape stored without geometry: ${shape.bedName} [${shape.bedHistoryId}] shape #${shape.shapeIndex + 1} - ${shape.problems.join(", ")}`);
       }
+    } else {
+      result.db = {
+        success: false,
+        error: dbResult.error,
+        stats: dbResult.stats
+      };
+      console.error(`❌ DB FAILED: ${result.contractNumber} - ${dbResult.error}`);
     }
 
-    await client.query('COMMIT');
-    return { success: true, stats };
+  } catch (dbErr) {
+    result.db = {
+      success: false,
+      error: dbErr.message
+    };
+    console.error(`❌ DB FAILED: ${result.contractNumber} - ${dbErr.message}`);
+  }
+}
 
-  } catch (error) {
-    await client.query('ROLLBACK');
-    return { success: false, error: error.message, stats };
-  } finally {
-    client.release();
+/**
+ * saveToDatabase() for one contract of a pool run: an unexpected error is
+ * recorded as that contract's DB failure instead of aborting the whole run
+ */
+async function saveToDatabaseSafely(result, contractData, cropYear, ingestOptions) {
+  try {
+    await saveToDatabase(result, contractData, cropYear, ingestOptions);
+  } catch (err) {
+    result.db = { success: false, error: err.message };
+    console.error(`❌ DB FAILED: ${result.contractNumber} - ${err.message}`);
   }
 }
 
 /** Fetch and save JSON for a single contract */
-async function fetchAndSave(contractNumber, token, cropYear) {
+async function fetchAndSave(contractNumber, cropYear, { apiClient, dataDir, ingestOptions }) {
   const result = {
     contractNumber,
+    cropYear,
     api: { success: false },
     db: { success: false }
   };
 
-  // Step 1: Fetch from API
+  // Step 1: Fetch from API (rate limited, retried on transient failures)
+  let response;
   try {
-    const url = `${API_URL}/bog/${contractNumber}`;
-    const response = await axios.get(url, {
-      headers: { "Content-Type": "application/json" },
-      params: { token, cropYear },
+    response = await apiClient.fetchContract(contractNumber, cropYear, {
+      onRetry: (statusCode, attempt, delayMs) => {
+        console.warn(`🔁 RETRY: ${contractNumber} - attempt ${attempt} failed (${statusCode}), retrying in ${(delayMs / 1000).toFixed(1)}s`);
+      },
     });
-
-    // Create data directory and cropYear subdirectory if they don't exist
-    const yearDir = path.join(DATA_DIR, String(cropYear));
-    if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR);
-    if (!fs.existsSync(yearDir)) fs.mkdirSync(yearDir);
-
-    const outputFile = path.join(yearDir, `${contractNumber}.json`);
-    fs.writeFileSync(outputFile, JSON.stringify(response.data, null, 2));
-
-    const recordCount = Array.isArray(response.data) ? response.data.length : 1;
+  } catch (err) {
+    const statusCode = err.status || "N/A";
+    const errorMsg = err.message;
     result.api = {
-      success: true,
-      recordCount,
-      filePath: `${cropYear}/${contractNumber}.json`
+      success: false,
+      statusCode,
+      error: errorMsg,
+      attempts: err.attempts || 1
     };
+    console.error(`❌ API FAILED: ${contractNumber} - HTTP ${statusCode}: ${errorMsg}`);
+    return result;
+  }
 
-    console.log(`✅ API SUCCESS: ${contractNumber} - Fetched ${recordCount} bed record(s), saved to ${cropYear}/${contractNumber}.json`);
+  const recordCount = Array.isArray(response.data) ? response.data.length : 1;
+  result.api = {
+    success: true,
+    statusCode: response.status,
+    recordCount,
+    filePath: `${cropYear}/${contractNumber}.json`,
+    attempts: response.attempts
+  };
 
-    // Step 2: Insert into Database
+  // Save the response; a dry run leaves ./data untouched, and an unchanged
+  // response is not rewritten. Offline re-imports read these files, so a
+  // contract whose file cannot be written fails its DB stage and is retried.
+  if (!ingestOptions.dryRun) {
     try {
-      const dbResult = await insertIntoDatabase(response.data, cropYear);
-
-      if (dbResult.success) {
-        result.db = {
-          success: true,
-          stats: dbResult.stats
-        };
-        console.log(`✅ DB SUCCESS: ${contractNumber} - Inserted ${dbResult.stats.farms} farm(s), ${dbResult.stats.farm_addresses} address(es), ${dbResult.stats.contracts} contract(s), ${dbResult.stats.bed_blocks} block(s), ${dbResult.stats.beds} bed(s), ${dbResult.stats.shapes} shape(s)`);
-      } else {
-        result.db = {
-          success: false,
-          error: dbResult.error,
-          stats: dbResult.stats
-        };
-        console.error(`❌ DB FAILED: ${contractNumber} - ${dbResult.error}`);
-      }
+      const yearDir = path.join(dataDir, String(cropYear));
+      if (!fs.existsSync(yearDir)) fs.mkdirSync(yearDir, { recursive: true });
 
-    } catch (dbErr) {
-      result.db = {
-        success: false,
-        error: dbErr.message
-      };
-      console.error(`❌ DB FAILED: ${contractNumber} - ${dbErr.message}`);
+      const outputFile = path.join(yearDir, `${contractNumber}.json`);
+      const json = JSON.stringify(response.data, null, 2);
+      if (!fs.existsSync(outputFile) || fs.readFileSync(outputFile, "utf8") !== json) {
+        fs.writeFileSync(outputFile, json);
+      }
+    } catch (err) {
+      result.db = { success: false, error: `Could not save data file: ${err.message}` };
+      console.error(`❌ FILE FAILED: ${contractNumber} - Fetched ${recordCount} bed record(s) but ${result.db.error}`);
+      return result;
     }
+  }
+
+  console.log(`✅ API SUCCESS: ${contractNumber} - Fetched ${recordCount} bed record(s)${ingestOptions.dryRun ? "" : `, saved to ${cropYear}/${contractNumber}.json`}`);
+
+  // Step 2: Insert into Database
+  await saveToDatabaseSafely(result, response.data, cropYear, ingestOptions);
+
+  return result;
+}
+
+/** Load a saved JSON file for a single contract and insert it (offline mode) */
+async function loadFromFile(contractNumber, cropYear, { dataDir, ingestOptions }) {
+  const result = {
+    contractNumber,
+    cropYear,
+    api: { success: false },
+    db: { success: false }
+  };
 
+  // Step 1: Read the response saved by a previous fetch
+  const filePath = `${cropYear}/${contractNumber}.json`;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path.join(dataDir, filePath), "utf8"));
   } catch (err) {
-    const statusCode = err.response?.status || "N/A";
-    const errorMsg = err.response?.data?.message || err.message;
     result.api = {
       success: false,
-      statusCode,
-      error: errorMsg
+      statusCode: "FILE",
+      error: err.message
     };
-    console.error(`❌ API FAILED: ${contractNumber} - HTTP ${statusCode}: ${errorMsg}`);
+    console.error(`❌ FILE FAILED: ${contractNumber} - ${err.message}`);
+    return result;
   }
 
+  const recordCount = Array.isArray(data) ? data.length : 1;
+  result.api = {
+    success: true,
+    recordCount,
+    filePath
+  };
+
+  console.log(`✅ FILE LOADED: ${contractNumber} - Read ${recordCount} bed record(s) from ${filePath}`);
+
+  // Step 2: Insert into Database
+  await saveToDatabaseSafely(result, data, cropYear, ingestOptions);
+
   return result;
 }
 
+/**
+ * Record one contract's outcome as a JSON line in the run log and a row in
+ * fetch_runs. Logging failures are reported but never fail the contract.
+ */
+async function recordRunResult(result, { runId, mode, runLog, writeMode }) {
+  const entry = {
+    runId,
+    mode,
+    timestamp: new Date().toISOString(),
+    contractNumber: result.contractNumber,
+    cropYear: result.cropYear,
+    httpStatus: typeof result.api.statusCode === "number" ? result.api.statusCode : null,
+    recordCount: result.api.recordCount ?? null,
+    attempts: result.api.attempts ?? 1,
+    apiSuccess: result.api.success,
+    dbSuccess: result.db.success,
+    unchanged: result.db.unchanged ?? false,
+    dbStats: result.db.stats ?? null,
+    writeMode: result.db.durationMs != null ? writeMode : null,
+    dbDurationMs: result.db.durationMs ?? null,
+    rejectedRecords: result.db.rejected ?? 0,
+    error: result.api.success ? (result.db.error ?? null) : (result.api.error ?? null)
+  };
+
+  try {
+    const logDir = path.dirname(runLog);
+    if (!fs.existsSync(logDir)) fs.mkdirSync(logDir, { recursive: true });
+    fs.appendFileSync(runLog, JSON.stringify(entry) + "\n");
+  } catch (err) {
+    console.warn(`⚠️  Could not write run log ${runLog}: ${err.message}`);
+  }
+
+  try {
+    await pool.query(
+      `INSERT INTO fetch_runs (
+         run_id, mode, contract_number, crop_year, http_status, record_count, attempts,
+         api_success, db_success, unchanged, db_stats, rejected_records, error
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+      [
+        entry.runId, entry.mode, entry.contractNumber, entry.cropYear, entry.httpStatus,
+        entry.recordCount, entry.attempts, entry.apiSuccess, entry.dbSuccess,
+        entry.unchanged, entry.dbStats, entry.rejectedRecords, entry.error
+      ]
+    );
+  } catch (err) {
+    console.warn(`⚠️  Could not store fetch_runs row for ${result.contractNumber}: ${err.message}`);
+  }
+}
+
 /** Main */
 (async () => {
+  const options = parseOptions();
+
   console.log("🔍 Ocean Spray Contract Fetcher with Database Integration\n");
 
   // Test database connection
@@ -384,30 +1549,154 @@ async function fetchAndSave(contractNumber, token, cropYear) {
     process.exit(1);
   }
 
-  const token = process.env.OCEANSPRAY_API_TOKEN || await ask("Enter your Ocean Spray API token: ");
-  const defaultYear = new Date().getFullYear();
-  const yearInput = await ask(`Enter crop year [default: ${defaultYear}]: `);
-  const cropYear = yearInput || defaultYear;
+  // Grower list provides the stable farm identity used during ingest
+  const roster = loadGrowerRoster(options.growerList);
+  if (roster.size === 0) {
+    console.warn(`⚠️  No grower list at ${options.growerList}; farms will be matched by contract number and address only\n`);
+  }
+  // Identifies this run in fetch_runs, the run log and bed_history
+  let runId = crypto.randomUUID();
+  let resumeState = null;
+  let token = null;
+  let items;
+
+  if (options.resume) {
+    // Continue an interrupted run under its original run id
+    resumeState = loadCheckpoint(options.checkpoint);
+    if (!resumeState) {
+      console.error(`❌ No checkpoint at ${options.checkpoint}. Nothing to resume.`);
+      process.exit(1);
+    }
+    if (resumeState.finishedAt) {
+      console.log(`✅ Run ${resumeState.runId} finished at ${resumeState.finishedAt}. Nothing to resume.\n`);
+      await pool.end();
+      return;
+    }
+
+    runId = resumeState.runId;
+    options.offline = resumeState.mode === "offline";
+    items = remainingItems(resumeState);
+    console.log(`⏯️  Resuming run ${runId}: ${items.length} of ${resumeState.items.length} contract(s) left\n`);
+  } else if (options.retryFailed) {
+    // Re-run only the contracts that failed at the API or DB stage
+    const failed = await loadFailedItems(options.retryFailed === "latest" ? null : options.retryFailed, options.runLog);
+    options.offline = failed.mode === "offline";
+    items = failed.items.filter(item =>
+      (options.years.length === 0 || options.years.includes(item.cropYear)) &&
+      (!options.contract || item.contractNumber === options.contract)
+    );
+    if (items.length === 0) {
+      console.log(`✅ No failed contracts to re-run from run ${failed.runId}.\n`);
+      await pool.end();
+      return;
+    }
+    console.log(`🔁 Re-running ${items.length} failed contract(s) from run ${failed.runId}\n`);
+  } else if (options.offline) {
+    // Re-import saved responses from the data directory without calling the API
+    items = listSavedContracts(options.dataDir, options.years, options.contract);
+    if (!options.contract) {
+      const allowed = new Set(await narrowContracts([...new Set(items.map(item => item.contractNumber))], options, roster));
+      items = items.filter(item => allowed.has(item.contractNumber));
+    }
+    if (items.length === 0) {
+      console.error("❌ No saved contract files matched. Nothing to re-import.");
+      process.exit(1);
+    }
+  } else {
+    token = await resolveToken(options);
+    const years = await resolveCropYears(options);
+
+    const contracts = await selectContracts(options, roster);
+    items = years.flatMap(cropYear =>
+      contracts.map(contractNumber => ({ contractNumber, cropYear }))
+    );
+  }
+
+  const cropYears = [...new Set(items.map(item => item.cropYear))].sort((a, b) => a - b);
+  const contractCount = new Set(items.map(item => item.contractNumber)).size;
+  console.log(`🆔 Run ID: ${runId}\n`);
+
+  const ingestOptions = {
+    roster,
+    runId,
+    missingBeds: options.missingBeds,
+    quarantineDir: options.quarantineDir,
+    mode: options.offline ? "offline" : "api",
+    force: options.force,
+    dryRun: options.dryRun,
+    writeMode: options.writeMode,
+    shapeRegion: options.shapeRegion
+  };
+
+  const run = { runId, mode: ingestOptions.mode, runLog: options.runLog, writeMode: options.writeMode };
+
+  // Checkpoint each processed contract so an interrupted run can be resumed.
+  // A dry run leaves the checkpoint (and run log) alone.
+  let checkpoint = { markDone() {}, finish() {} };
+  if (options.dryRun) {
+    console.log("🧪 DRY RUN: every ingest is rolled back; nothing is saved\n");
+  } else {
+    const previous = resumeState ? null : loadCheckpoint(options.checkpoint);
+    if (previous && !previous.finishedAt) {
+      console.warn(`⚠️  Replacing unfinished run ${previous.runId} in ${options.checkpoint}; it can no longer be resumed\n`);
+    }
+    checkpoint = openCheckpoint(options.checkpoint, { runId, mode: run.mode, items, state: resumeState });
+    const resumeHint = `npm start -- --resume${options.checkpoint === DEFAULT_CHECKPOINT_FILE ? "" : ` --checkpoint ${options.checkpoint}`}`;
+    process.on("SIGINT", () => {
+      console.warn(`\n⏸️  Interrupted. Continue this run with: ${resumeHint}`);
+      process.exit(130);
+    });
+  }
+
+  let processItem;
+  if (options.offline) {
+    console.log(`📂 Re-importing ${items.length} saved contract file(s) for crop year(s) ${cropYears.join(", ")}...\n`);
 
-  const contracts = readContractNumbers();
-  console.log(`\n📦 Processing ${contracts.length} contract(s) for crop year ${cropYear}...\n`);
+    processItem = (item) => loadFromFile(item.contractNumber, item.cropYear, { dataDir: options.dataDir, ingestOptions });
+  } else {
+    token ??= await resolveToken(options);
+    console.log(`📦 Processing ${contractCount} contract(s) for crop year(s) ${cropYears.join(", ")} (concurrency ${options.concurrency}, ${options.rate || "unlimited"} req/s, ${options.retries} retries)...\n`);
 
-  const results = [];
-  for (const contract of contracts) {
-    const result = await fetchAndSave(contract, token, cropYear);
-    results.push(result);
-    console.log(""); // Blank line between contracts
+    const apiClient = createApiClient({
+      baseUrl: options.apiUrl,
+      token,
+      rate: options.rate,
+      retries: options.retries
+    });
+    if (apiClient.baseUrl !== DEFAULT_API_URL) {
+      console.log(`🌐 Using API at ${apiClient.baseUrl}`);
+    }
+
+    processItem = (item) => fetchAndSave(item.contractNumber, item.cropYear, {
+      apiClient,
+      dataDir: options.dataDir,
+      ingestOptions
+    });
   }
 
+  const results = await runPool(items, options.concurrency, async (item) => {
+    const result = await processItem(item);
+    if (!options.dryRun) await recordRunResult(result, run);
+    checkpoint.markDone(item);
+    return result;
+  });
+  checkpoint.finish();
+
   // Calculate statistics
   const apiSuccess = results.filter(r => r.api.success);
   const apiFailed = results.filter(r => !r.api.success);
-  const dbSuccess = results.filter(r => r.db.success);
+  const dbSuccess = results.filter(r => r.db.success && !r.db.unchanged);
+  const unchanged = results.filter(r => r.db.unchanged);
   const dbFailed = results.filter(r => r.api.success && !r.db.success);
   const totalRecords = apiSuccess.reduce((sum, r) => sum + (r.api.recordCount || 0), 0);
+  const retried = results.filter(r => (r.api.attempts || 1) > 1);
+  const totalRetries = retried.reduce((sum, r) => sum + r.api.attempts - 1, 0);
+  const quarantined = results.filter(r => r.db.rejected > 0);
+  const totalQuarantined = quarantined.reduce((sum, r) => sum + r.db.rejected, 0);
 
   // Calculate total DB insertions
-  let totalFarms = 0, totalFarmAddresses = 0, totalContracts = 0, totalBedBlocks = 0, totalBeds = 0, totalShapes = 0;
+  let totalFarms = 0, totalFarmAddresses = 0, totalContracts = 0, totalBedBlocks = 0, totalBeds = 0, totalShapes = 0, totalBedChanges = 0;
+  let totalShapesRepaired = 0, totalShapesInvalid = 0, totalBedsRemoved = 0, totalBedBlocksRemoved = 0;
   dbSuccess.forEach(r => {
     if (r.db.stats) {
       totalFarms += r.db.stats.farms;
@@ -416,6 +1705,11 @@ async function fetchAndSave(contractNumber, token, cropYear) {
       totalBedBlocks += r.db.stats.bed_blocks;
       totalBeds += r.db.stats.beds;
       totalShapes += r.db.stats.shapes;
+      totalShapesRepaired += r.db.stats.shapes_repaired;
+      totalShapesInvalid += r.db.stats.shapes_invalid;
+      totalBedChanges += r.db.stats.bed_changes;
+      totalBedsRemoved += r.db.stats.beds_removed;
+      totalBedBlocksRemoved += r.db.stats.bed_blocks_removed;
     }
   });
 
@@ -424,14 +1718,18 @@ async function fetchAndSave(contractNumber, token, cropYear) {
   console.log("📊 FINAL SUMMARY");
   console.log("=".repeat(70));
 
-  console.log("\n📡 API FETCH RESULTS:");
+  console.log(options.offline ? "\n📂 FILE LOAD RESULTS:" : "\n📡 API FETCH RESULTS:");
   console.log(`   Total Contracts Processed: ${results.length}`);
   console.log(`   ✅ Successful: ${apiSuccess.length}`);
   console.log(`   ❌ Failed: ${apiFailed.length}`);
-  console.log(`   📝 Total Bed Records Fetched: ${totalRecords}`);
+  console.log(`   📝 Total Bed Records ${options.offline ? "Loaded" : "Fetched"}: ${totalRecords}`);
+  if (!options.offline) {
+    console.log(`   🔁 Retries: ${totalRetries} across ${retried.length} contract(s)`);
+  }
 
   console.log("\n💾 DATABASE INSERT RESULTS:");
   console.log(`   ✅ Successfully Inserted: ${dbSuccess.length}`);
+  console.log(`   ⏭️  Unchanged (Skipped): ${unchanged.length}`);
   console.log(`   ❌ Failed to Insert: ${dbFailed.length}`);
   console.log(`   📊 Total Records Inserted:`);
   console.log(`      - Farms: ${totalFarms}`);
@@ -439,14 +1737,43 @@ async function fetchAndSave(contractNumber, token, cropYear) {
   console.log(`      - Contracts: ${totalContracts}`);
   console.log(`      - Bed Blocks: ${totalBedBlocks}`);
   console.log(`      - Beds: ${totalBeds}`);
-  console.log(`      - Shapes: ${totalShapes}`);
+  console.log(`      - Shapes: ${totalShapes}${totalShapesRepaired > 0 ? ` (${totalShapesRepaired} repaired)` : ""}`);
+  if (totalShapesInvalid > 0) {
+    console.log(`   ⚠️  Shapes Without Geometry (unrepairable): ${totalShapesInvalid} (npm run check-shapes for the full list)`);
+  }
+  if (options.missingBeds !== "keep") {
+    const verb = options.missingBeds === "delete" ? "Deleted" : "Retired";
+    console.log(`   🧹 Missing From Payload (${verb}): ${totalBedsRemoved} bed(s), ${totalBedBlocksRemoved} block(s)`);
+  }
+  if (totalQuarantined > 0) {
+    console.log(`   🚧 Records Quarantined: ${totalQuarantined} across ${quarantined.length} contract(s) → ${options.quarantineDir}/`);
+  }
+  const timed = dbSuccess.filter(r => r.db.durationMs != null);
+  if (timed.length > 0) {
+    const totalMs = timed.reduce((sum, r) => sum + r.db.durationMs, 0);
+    const timedBeds = timed.reduce((sum, r) => sum + r.db.stats.beds, 0);
+    console.log(`   ⏱️  DB Write Time (${options.writeMode}): ${(totalMs / 1000).toFixed(1)}s for ${timed.length} contract(s), ${Math.round(totalMs / timed.length)} ms/contract${timedBeds > 0 ? `, ${(totalMs / timedBeds * 100).toFixed(0)} ms per 100 beds` : ""}`);
+  }
+  console.log(`   📝 Bed Field Changes Recorded: ${totalBedChanges}${totalBedChanges > 0 && !options.dryRun ? ` (npm run bed-history -- --run ${runId})` : ""}`);
+
+  // Per-year breakdown when several crop years were processed
+  if (cropYears.length > 1) {
+    console.log("\n📅 RESULTS BY CROP YEAR:");
+    console.log(`   ${"Year".padEnd(6)} ${"Contracts".padStart(9)} ${(options.offline ? "File OK" : "API OK").padStart(8)} ${"Failed".padStart(7)} ${"DB OK".padStart(6)} ${"Same".padStart(5)} ${"DB Fail".padStart(8)} ${"Beds".padStart(7)}`);
+    for (const year of cropYears) {
+      const yearResults = results.filter(r => r.cropYear === year);
+      const yearApiOk = yearResults.filter(r => r.api.success);
+      const yearBeds = yearResults.reduce((sum, r) => sum + (r.db.success ? r.db.stats?.beds || 0 : 0), 0);
+      console.log(`   ${String(year).padEnd(6)} ${String(yearResults.length).padStart(9)} ${String(yearApiOk.length).padStart(8)} ${String(yearResults.length - yearApiOk.length).padStart(7)} ${String(yearResults.filter(r => r.db.success && !r.db.unchanged).length).padStart(6)} ${String(yearResults.filter(r => r.db.unchanged).length).padStart(5)} ${String(yearApiOk.filter(r => !r.db.success).length).padStart(8)} ${String(yearBeds).padStart(7)}`);
+    }
+  }
 
   // Detailed breakdown
-  const fullSuccess = results.filter(r => r.api.success && r.db.success);
+  const fullSuccess = results.filter(r => r.api.success && r.db.success && !r.db.unchanged);
   const apiOnlySuccess = results.filter(r => r.api.success && !r.db.success);
 
   if (fullSuccess.length > 0) {
-    console.log("\n✅ FULLY SUCCESSFUL (API + DB):");
+    console.log(options.offline ? "\n✅ FULLY SUCCESSFUL (FILE + DB):" : "\n✅ FULLY SUCCESSFUL (API + DB):");
     fullSuccess.forEach(r => {
       console.log(`   - ${r.contractNumber}: ${r.api.recordCount} bed(s) → ${r.api.filePath}`);
       if (r.db.stats) {
@@ -455,8 +1782,15 @@ async function fetchAndSave(contractNumber, token, cropYear) {
     });
   }
 
+  if (unchanged.length > 0) {
+    console.log("\n⏭️  UNCHANGED SINCE LAST INGEST (DB SKIPPED):");
+    unchanged.forEach(r => {
+      console.log(`   - ${r.contractNumber} (${r.cropYear}): ${r.api.recordCount} bed(s)`);
+    });
+  }
+
   if (apiOnlySuccess.length > 0) {
-    console.log("\n⚠️  API SUCCESS BUT DB FAILED:");
+    console.log(options.offline ? "\n⚠️  FILE LOADED BUT DB FAILED:" : "\n⚠️  API SUCCESS BUT DB FAILED:");
     apiOnlySuccess.forEach(r => {
       console.log(`   - ${r.contractNumber}: ${r.api.filePath}`);
       console.log(`     Error: ${r.db.error || 'Unknown error'}`);
@@ -464,17 +1798,43 @@ async function fetchAndSave(contractNumber, token, cropYear) {
   }
 
   if (apiFailed.length > 0) {
-    console.log("\n❌ API FETCH FAILED:");
+    console.log(options.offline ? "\n❌ FILE LOAD FAILED:" : "\n❌ API FETCH FAILED:");
     apiFailed.forEach(r => {
-      console.log(`   - ${r.contractNumber}: HTTP ${r.api.statusCode} - ${r.api.error}`);
+      const status = options.offline ? "" : `HTTP ${r.api.statusCode} - `;
+      const attempts = r.api.attempts > 1 ? ` (after ${r.api.attempts} attempts)` : "";
+      console.log(`   - ${r.contractNumber} (${r.cropYear}): ${status}${r.api.error}${attempts}`);
     });
   }
 
+  // Dry run: what the rolled-back ingests would have changed
+  let reportFile = null;
+  if (options.dryRun) {
+    const report = buildDryRunReport(results, { runId, mode: run.mode, missingBeds: options.missingBeds });
+    printDryRunReport(report);
+    reportFile = writeDryRunReport(report, options.report);
+  }
+
   console.log("\n" + "=".repeat(70));
-  console.log(`🎉 Processing Complete!`);
-  console.log(`   JSON Files: ./data/${cropYear}/`);
+  console.log(options.dryRun ? `🧪 Dry Run Complete (nothing committed)` : `🎉 Processing Complete!`);
+  if (reportFile) {
+    console.log(`   Dry-Run Report: ${reportFile}`);
+  } else {
+    console.log(`   JSON Files: ${cropYears.map(year => path.join(options.dataDir, String(year)) + "/").join(", ")}`);
+  }
   console.log(`   Database: ${process.env.DB_NAME} on ${process.env.DB_HOST}`);
+  if (!options.dryRun) {
+    console.log(`   Run Log: ${options.runLog} (run ${runId})`);
+  }
+  if (resumeState) {
+    console.log(`   Resumed: totals above cover the ${items.length} contract(s) processed in this invocation`);
+  }
   console.log("=".repeat(70) + "\n");
 
   await pool.end();
-})();
+})().catch(async (err) => {
+  // Anything not handled per contract: report it and close the pool
+  console.error(`❌ Fetch run failed: ${err.message}`);
+  console.error(err.stack);
+  await pool.end().catch(() => {});
+  process.exit(1);
+});
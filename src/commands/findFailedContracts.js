@@ -1,55 +1,123 @@
 #!/usr/bin/env node
 /**
- * Find contracts that failed to insert (had 0 beds)
+ * Find contracts that failed in a fetch run
+ * -----------------------------------------
+ * Reads per-contract results from the fetch_runs table (or the JSON-lines
+ * run log with --log) and lists contracts whose API fetch failed, returned
+ * 0 bed records, or failed to insert
+ * Usage:
+ *   npm run failed-contracts                       # latest run
+ *   npm run failed-contracts -- --run <run id>
+ *   npm run failed-contracts -- --log ./logs/fetch_runs.jsonl
  */
 
 import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { loadGrowerRoster } from '../lib/growerRoster.js';
+import { readRunLog, readFetchRuns, failureReason } from '../lib/fetchRuns.js';
+import { csvValue } from '../lib/bedReports.js';
 
-// Read status.txt and extract contracts with 0 beds
-const statusContent = fs.readFileSync('./logs/status.txt', 'utf8');
-const lines = statusContent.split('\n');
-
-const failedContracts = [];
-for (const line of lines) {
-  if (line.includes('Fetched 0 bed record(s)')) {
-    // Extract contract number from line like: "✅ API SUCCESS: 0781502 - Fetched 0 bed..."
-    const match = line.match(/API SUCCESS: (\d+)/);
-    if (match) {
-      failedContracts.push(match[1]);
-    }
+// Load environment variables
+dotenv.config();
+
+const OUTPUT_DIR = './output';
+const CSV_FILE = path.join(OUTPUT_DIR, 'failed_contracts.csv');
+
+/**
+ * Load run entries from the fetch_runs table
+ */
+async function readFromDatabase(runId) {
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  await client.connect();
+
+  try {
+    return await readFetchRuns(client, runId);
+  } finally {
+    await client.end();
   }
 }
 
-// Read GrowerList2024.json
-const growerList = JSON.parse(fs.readFileSync('./input/GrowerList2024.json', 'utf8'));
+async function findFailedContracts() {
+  const { values: options } = parseArgs({
+    options: {
+      run: { type: 'string' },
+      log: { type: 'string' },
+    },
+  });
+
+  const { runId, entries } = options.log
+    ? readRunLog(options.log, options.run)
+    : await readFromDatabase(options.run);
 
-// Create a map of contract number to bpName
-// Note: extBpId is the contract number field in the JSON
-const contractMap = new Map();
-for (const grower of growerList) {
-  if (grower.extBpId && grower.bpName) {
-    contractMap.set(grower.extBpId, grower.bpName);
+  if (!runId || entries.length === 0) {
+    console.log('⚠️  No fetch run results found. Run "npm start" first.\n');
+    process.exit(0);
   }
-}
 
-// Match and display results
-console.log('Contracts that failed to insert (0 beds):\n');
-console.log('Contract Number | Farm Name');
-console.log('-'.repeat(60));
+  // Farm names come from the grower list, keyed by contract number
+  const roster = loadGrowerRoster();
 
-const results = [];
-for (const contractNum of failedContracts) {
-  const farmName = contractMap.get(contractNum) || 'NOT FOUND IN GROWER LIST';
-  results.push({ contractNum, farmName });
-  console.log(`${contractNum.padEnd(15)} | ${farmName}`);
-}
+  const results = [];
+  for (const entry of entries) {
+    const reason = failureReason(entry);
+    if (!reason) continue;
 
-console.log('-'.repeat(60));
-console.log(`\nTotal failed contracts: ${failedContracts.length}`);
+    results.push({
+      contractNum: entry.contractNumber,
+      cropYear: entry.cropYear,
+      farmName: roster.get(entry.contractNumber)?.name || 'NOT FOUND IN GROWER LIST',
+      reason,
+      httpStatus: entry.httpStatus ?? '',
+      error: entry.error || ''
+    });
+  }
+
+  // Display results
+  console.log(`Contracts that failed in run ${runId} (${entries.length} processed):\n`);
+  console.log('Contract Number | Year | Reason           | Farm Name');
+  console.log('-'.repeat(80));
+
+  for (const r of results) {
+    console.log(`${r.contractNum.padEnd(15)} | ${String(r.cropYear).padEnd(4)} | ${r.reason.padEnd(16)} | ${r.farmName}`);
+    if (r.error) {
+      console.log(`${''.padEnd(15)} |      | ${r.reason === 'API failed' && r.httpStatus ? `HTTP ${r.httpStatus}: ` : ''}${r.error}`);
+    }
+  }
 
-// Save to CSV
-const csvContent = 'contract_number,farm_name\n' +
-  results.map(r => `${r.contractNum},"${r.farmName}"`).join('\n');
+  console.log('-'.repeat(80));
+  console.log(`\nTotal failed contracts: ${results.length}`);
+
+  // Save to CSV
+  if (!fs.existsSync(OUTPUT_DIR)) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  }
+
+  const csvContent = 'contract_number,crop_year,farm_name,reason,http_status,error\n' +
+    results.map(r => [
+      r.contractNum,
+      r.cropYear,
+      r.farmName,
+      r.reason,
+      r.httpStatus || null,
+      r.error
+    ].map(csvValue).join(',')).join('\n');
+
+  fs.writeFileSync(CSV_FILE, csvContent, 'utf8');
+  console.log(`\nSaved to: ${CSV_FILE}`);
+}
 
-fs.writeFileSync('./output/failed_contracts.csv', csvContent, 'utf8');
-console.log('\nSaved to: output/failed_contracts.csv');
+findFailedContracts().catch(error => {
+  console.error('❌ Error finding failed contracts:', error.message);
+  console.error('   Use --log ./logs/fetch_runs.jsonl if the database is unavailable.\n');
+  process.exit(1);
+});
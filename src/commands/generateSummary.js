@@ -43,7 +43,7 @@ async function generateSummary() {
           COALESCE(SUM(b.acres), 0) as acres
         FROM contracts c
         LEFT JOIN farms f ON c.farm_id = f.id
-        LEFT JOIN beds b ON c.id = b.contract_id
+        LEFT JOIN beds b ON c.id = b.contract_id AND b.retired_at IS NULL
         GROUP BY c.contract_number, c.farm_id, f.name
       ),
       farm_addresses_grouped AS (
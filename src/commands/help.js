@@ -10,7 +10,82 @@ const commands = [
   {
     command: 'npm start',
     description: 'Fetch contract data from Ocean Spray API and store in database',
-    details: 'Fetches all contracts from GrowerList2024.json and stores beds/shapes'
+    details: 'Fetches contracts listed in input/contracts.txt and stores beds/shapes'
+  },
+  {
+    command: 'npm start -- --year 2025 --token-file <path>',
+    description: 'Fetch without prompts (cron/scripts)',
+    details: 'Also --contract, --contracts-file, --data-dir, --token; see npm start -- --help'
+  },
+  {
+    command: 'npm start -- --source roster',
+    description: 'Choose where the contract list comes from',
+    details: 'file (input/contracts.txt), roster (every extBpId in GrowerList2024.json) or db (--source-year); narrow with --farm, --state'
+  },
+  {
+    command: 'npm start -- --missing-beds delete',
+    description: 'Choose what happens to beds dropped from a contract',
+    details: 'retire (default, stamps retired_at), delete (removes bed + shapes) or keep'
+  },
+  {
+    command: 'npm start -- --quarantine-dir <path>',
+    description: 'Where invalid bed records are saved during ingest',
+    details: 'Valid beds are still inserted; rejects go to data/quarantine/{year}/{contract}.json'
+  },
+  {
+    command: 'npm start -- --year 2020-2024',
+    description: 'Fetch several crop years in one run',
+    details: 'Accepts ranges and lists (2022,2024); summary breaks results down per year'
+  },
+  {
+    command: 'npm start -- --concurrency 8 --rate 5 --retries 3',
+    description: 'Fetch contracts in parallel with retry and rate limiting',
+    details: 'Retries 429/5xx/timeouts with exponential backoff; summary reports retry counts'
+  },
+  {
+    command: 'npm start -- --force',
+    description: 'Re-ingest contracts even if their payload is unchanged',
+    details: 'By default a payload identical to the last ingest skips DB writes (summary: "unchanged")'
+  },
+  {
+    command: 'npm start -- --year 2026 --dry-run',
+    description: 'Preview the database changes a fetch would make',
+    details: 'Rolls back every ingest; console report + output/dry_run_report.json (--report <path>)'
+  },
+  {
+    command: 'npm start -- --resume',
+    description: 'Continue an interrupted run where it stopped',
+    details: 'Progress is checkpointed to logs/checkpoint.json after every contract'
+  },
+  {
+    command: 'npm start -- --retry-failed latest',
+    description: 'Re-run only contracts that failed (API or DB) in a previous run',
+    details: 'Pass a run id instead of latest; reads fetch_runs or the run log'
+  },
+  {
+    command: 'npm run mock-api',
+    description: 'Start a local mock Ocean Spray API on port 4010',
+    details: 'Serves src/mock/fixtures; then npm start -- --api-url http://localhost:4010/v1 --token test --contracts-file src/mock/fixtures/contracts.txt'
+  },
+  {
+    command: 'npm test',
+    description: 'Unit tests of the src/lib helpers (shapes, payloads, crop years, retries, report filters)',
+    details: 'No database or network needed'
+  },
+  {
+    command: 'npm run test:fetch',
+    description: 'Dry-run fetch of every mock fixture, checking the report',
+    details: 'Starts the mock API on a free port; needs the .env database with the schema loaded (skipped when unreachable)'
+  },
+  {
+    command: 'npm start -- --write-mode bulk',
+    description: 'Write each contract with multi-row upserts instead of row by row',
+    details: 'Same results as the default row mode; summary shows DB write time for comparison'
+  },
+  {
+    command: 'npm run reimport',
+    description: 'Rebuild database from saved ./data JSON files (no API calls)',
+    details: 'Options: -- --year 2024 (repeatable), --contract 0781502'
   },
   {
     command: 'npm run sql',
@@ -22,11 +97,51 @@ const commands = [
     description: 'Update farm names from GrowerList2024.json',
     details: 'Matches contract numbers to farm names and updates database'
   },
+  {
+    command: 'npm run consolidate-farms',
+    description: 'Merge duplicate farm rows (one-off cleanup)',
+    details: 'Groups farms by bp: grower key, contract number or address; lists name-only matches for review; -- --dry-run to preview'
+  },
   {
     command: 'npm run summary',
     description: 'Generate contract summary report',
     details: 'Creates terminal table and CSV with farms, contracts, acres, addresses'
   },
+  {
+    command: 'npm run bed-history -- --contract <number>',
+    description: 'Show field-level bed changes between fetches',
+    details: 'Filter by --contract, --farm, --bed, --run or --year'
+  },
+  {
+    command: 'npm run failed-contracts',
+    description: 'List contracts that failed in the latest fetch run',
+    details: 'Reads fetch_runs (or -- --log logs/fetch_runs.jsonl); saves output/failed_contracts.csv'
+  },
+  {
+    command: 'npm run check-areas',
+    description: 'Compare polygon area with reported acres for each bed',
+    details: 'Stores beds.computed_acres; -- --tolerance <percent> --min-diff <acres>; saves output/bed_area_discrepancies.csv and .geojson'
+  },
+  {
+    command: 'npm run check-shapes',
+    description: 'Validate and repair bed polygons',
+    details: 'Fixes unclosed rings, duplicate vertices and swapped lat/lon (SHAPE_REGION_BBOX) in shapes.geom; saves unrepairable shapes to output/invalid_shapes.csv'
+  },
+  {
+    command: 'npm run check-overlaps',
+    description: 'Find beds whose polygons overlap within a crop year',
+    details: 'Overlap acres and % of each bed; -- --min-area <acres> --scope other-farm; saves output/bed_overlaps.csv and .geojson'
+  },
+  {
+    command: 'npm run check-buffers -- --buffer 25ft',
+    description: 'List non-organic beds within a buffer of each organic bed',
+    details: 'Includes beds on other farms, with distances; saves output/organic_buffer_violations.csv and buffer zone/violation GeoJSON'
+  },
+  {
+    command: 'npm run query-beds -- --point <lat,lon> --radius 2',
+    description: 'Find beds near a point, in a bounding box or in a GeoJSON polygon',
+    details: 'Or --bbox=<west,south,east,north> / --polygon <file>; --match addresses, --inside; --format table|csv|geojson'
+  },
   {
     command: 'npm run geocode',
     description: 'Geocode all farm addresses to lat/long coordinates',
@@ -47,6 +162,11 @@ const commands = [
     description: 'Export bed polygons as separate files per farm',
     details: 'Creates output/farms/{farm_name}.geojson for each farm'
   },
+  {
+    command: 'npm run export-beds -- --simplify 0.5 --precision 6 --compact',
+    description: 'Shrink bed exports for QGIS and web maps',
+    details: 'Topology-preserving simplification (meters), coordinate decimals, no indentation; works for export-beds-by-farm too and reports size before/after'
+  },
   {
     command: 'npm run help',
     description: 'Show this help message',
@@ -76,6 +196,8 @@ console.log('📂 Project Structure:');
 console.log('   src/commands/  - CLI commands');
 console.log('   src/export/    - GeoJSON export utilities');
 console.log('   src/database/  - Database setup scripts');
+console.log('   src/lib/       - Shared modules (API client, validation, concurrency)');
+console.log('   src/mock/      - Local mock API server and fixtures');
 console.log('   src/sql/       - SQL schema files');
 console.log('   input/         - Source data files');
 console.log('   output/        - Generated reports & GeoJSON files');
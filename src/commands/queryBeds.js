@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+/**
+ * Spatial Bed Query
+ * -----------------
+ * Finds active beds near a point, inside a bounding box or inside the
+ * polygon(s) of a GeoJSON file. Beds match on their polygons (shapes.geom) by
+ * default, or on their farm address coordinates with --match addresses.
+ * Output: terminal table, or output/bed_query.csv / output/bed_query.geojson
+ * Usage:
+ *   npm run query-beds -- --point 44.30,-89.64 --radius 2          (lat,lon; miles)
+ *   npm run query-beds -- --point 44.30,-89.64 --radius 3km --format csv
+ *   npm run query-beds -- --bbox=-89.70,44.25,-89.60,44.35        (west,south,east,north)
+ *   npm run query-beds -- --polygon input/marsh.geojson --inside --format geojson
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { DISTANCE_UNITS, buildFilters, csvValue, parseDistance, parseYear } from '../lib/bedReports.js';
+
+// Load environment variables
+dotenv.config();
+
+const OUTPUT_DIR = './output';
+const FORMATS = ['table', 'csv', 'geojson'];
+const MATCH_TARGETS = ['shapes', 'addresses'];
+
+// Values starting with a minus sign must be attached with = (--bbox=-89.7,...)
+const USAGE = '   Options: --point=<lat,lon> --radius <distance[mi|km|m|ft]> | --bbox=<west,south,east,north> | --polygon <file.geojson>\n' +
+  '            --match shapes|addresses --inside --format table|csv|geojson --output <path>\n' +
+  '            --contract <number> --farm <name|id> --year <yyyy>\n';
+
+/** Parse "a,b,..." into exactly `count` finite numbers */
+function parseNumbers(value, count, option) {
+  const numbers = value.split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+  if (numbers.length !== count || numbers.some(n => !Number.isFinite(n))) {
+    throw new Error(`--${option} expects ${count} comma-separated numbers, got "${value}"`);
+  }
+  return numbers;
+}
+
+/**
+ * Read the Polygon/MultiPolygon geometries of a GeoJSON file (a geometry, a
+ * Feature or a FeatureCollection) as GeoJSON text for ST_GeomFromGeoJSON
+ */
+function readPolygonFile(file) {
+  let geojson;
+  try {
+    geojson = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read --polygon file ${file}: ${error.message}`);
+  }
+
+  const geometries = geojson.type === 'FeatureCollection'
+    ? geojson.features.map(feature => feature.geometry)
+    : [geojson.type === 'Feature' ? geojson.geometry : geojson];
+  const polygons = geometries.filter(geometry => geometry && ['Polygon', 'MultiPolygon'].includes(geometry.type));
+
+  if (polygons.length === 0) {
+    throw new Error(`--polygon file ${file} contains no Polygon or MultiPolygon geometry`);
+  }
+  return polygons.map(geometry => JSON.stringify(geometry));
+}
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        point: { type: 'string' },
+        radius: { type: 'string' },
+        bbox: { type: 'string' },
+        polygon: { type: 'string' },
+        match: { type: 'string', default: 'shapes' },
+        inside: { type: 'boolean', default: false },
+        format: { type: 'string', default: 'table' },
+        output: { type: 'string' },
+        contract: { type: 'string' },
+        farm: { type: 'string' },
+        year: { type: 'string' },
+      },
+    });
+
+    const areas = ['point', 'bbox', 'polygon'].filter(option => values[option] !== undefined);
+    if (areas.length !== 1) {
+      throw new Error('Give exactly one of --point, --bbox or --polygon');
+    }
+    if (!FORMATS.includes(values.format)) {
+      throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+    }
+    if (!MATCH_TARGETS.includes(values.match)) {
+      throw new Error(`--match must be one of: ${MATCH_TARGETS.join(', ')}`);
+    }
+    if (values.inside && values.match === 'addresses') {
+      throw new Error('--inside only applies to --match shapes (addresses are points)');
+    }
+
+    const options = { ...values, year: parseYear(values.year) };
+
+    if (values.point !== undefined) {
+      if (values.radius === undefined) throw new Error('--point needs --radius');
+      const [lat, lon] = parseNumbers(values.point, 2, 'point');
+      if (Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        throw new Error(`--point is latitude,longitude; ${values.point} is out of range`);
+      }
+      options.point = { lat, lon };
+      options.radius = parseDistance(values.radius, 'mi', 'radius');
+    } else if (values.radius !== undefined) {
+      throw new Error('--radius only applies to --point');
+    }
+
+    if (values.bbox !== undefined) {
+      const [west, south, east, north] = parseNumbers(values.bbox, 4, 'bbox');
+      if (west >= east || south >= north) {
+        throw new Error('--bbox is west,south,east,north (min lon, min lat, max lon, max lat)');
+      }
+      options.bbox = { west, south, east, north };
+    }
+
+    if (values.polygon !== undefined) {
+      options.polygonFile = values.polygon;
+      options.polygon = readPolygonFile(values.polygon);
+    }
+
+    return options;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+}
+
+/**
+ * Build the area CTE and the SQL condition that matches `target` (a geometry
+ * expression) against it. `reach` covers everything the condition can match,
+ * for an indexed && lookup. Point queries also return the distance to each bed.
+ */
+function buildArea(options, params) {
+  if (options.point) {
+    params.push(options.point.lon, options.point.lat, options.radius.meters);
+    const [lon, lat, meters] = [params.length - 2, params.length - 1, params.length];
+    return {
+      description: `within ${options.radius.value} ${options.radius.unit} of ${options.point.lat},${options.point.lon}`,
+      cte: `SELECT ST_SetSRID(ST_MakePoint($${lon}, $${lat}), 4326) as geom`,
+      reach: `ST_Buffer(area.geom::geography, $${meters})::geometry`,
+      condition: target => (options.inside
+        ? `ST_CoveredBy(${target}, ST_Buffer(area.geom::geography, $${meters})::geometry)`
+        : `ST_DWithin(${target}::geography, area.geom::geography, $${meters})`),
+      distance: target => `ST_Distance(${target}::geography, area.geom::geography) / ${DISTANCE_UNITS[options.radius.unit]}`
+    };
+  }
+
+  if (options.bbox) {
+    const { west, south, east, north } = options.bbox;
+    params.push(west, south, east, north);
+    const first = params.length - 3;
+    return {
+      description: `inside bbox ${west},${south},${east},${north}`,
+      cte: `SELECT ST_MakeEnvelope($${first}, $${first + 1}, $${first + 2}, $${first + 3}, 4326) as geom`,
+      reach: 'area.geom',
+      condition: target => `${options.inside ? 'ST_CoveredBy' : 'ST_Intersects'}(${target}, area.geom)`,
+      distance: null
+    };
+  }
+
+  params.push(options.polygon);
+  return {
+    description: `inside ${options.polygonFile}`,
+    cte: `SELECT ST_Union(ST_SetSRID(ST_GeomFromGeoJSON(g), 4326)) as geom FROM unnest($${params.length}::text[]) AS u(g)`,
+    reach: 'area.geom',
+    condition: target => `${options.inside ? 'ST_CoveredBy' : 'ST_Intersects'}(${target}, area.geom)`,
+    distance: null
+  };
+}
+
+async function queryBeds() {
+  const options = parseOptions();
+  console.log('🔎 Querying Beds by Location...\n');
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    const params = [];
+    const area = buildArea(options, params);
+    const filters = buildFilters(options, params);
+
+    // Beds match on their own polygons, or on the geocoded farm address the
+    // bed was listed with (beds without shapes can still be found that way).
+    // Candidate beds come from shapes near the area (GiST index on
+    // shapes.geom) or from matching addresses; only their shapes are then
+    // collected into bed geometries, as bed_geometries would for every bed.
+    const byShapes = options.match === 'shapes';
+    const point = 'ST_SetSRID(ST_MakePoint(fa.longitude, fa.latitude), 4326)';
+    const candidates = byShapes
+      ? `SELECT DISTINCT s.bed_id
+         FROM shapes s
+         CROSS JOIN area
+         WHERE s.geom && ${area.reach}`
+      : `SELECT b.id as bed_id
+         FROM beds b
+         JOIN farm_addresses fa ON b.farm_address_id = fa.id
+         CROSS JOIN area
+         WHERE fa.latitude IS NOT NULL AND fa.longitude IS NOT NULL AND ${area.condition(point)}`;
+    const target = byShapes ? 'bg.geom' : point;
+
+    const query = `
+      WITH area AS (${area.cte}),
+      candidates AS (${candidates}),
+      bed_shapes AS (
+        SELECT
+          s.bed_id,
+          COUNT(*) as shape_count,
+          ST_Multi(ST_Collect(s.geom ORDER BY s.id)) as geom
+        FROM shapes s
+        WHERE s.geom IS NOT NULL AND s.bed_id IN (SELECT bed_id FROM candidates)
+        GROUP BY s.bed_id
+      )
+      SELECT
+        b.id as bed_id,
+        b.api_bed_history_id,
+        b.bed_name,
+        b.handler_section_name,
+        b.acres,
+        b.variety,
+        bb.name as bed_block_name,
+        c.contract_number,
+        c.crop_year,
+        f.id as farm_id,
+        COALESCE(f.name, 'Unknown Farm') as farm_name,
+        COALESCE(bg.shape_count, 0) as shape_count,
+        ${area.distance ? `${area.distance(target)} as distance,` : ''}
+        ST_AsGeoJSON(ST_ForcePolygonCCW(CASE WHEN bg.shape_count = 1 THEN ST_GeometryN(bg.geom, 1) ELSE bg.geom END)) as geometry
+      FROM beds b
+      JOIN candidates m ON b.id = m.bed_id
+      ${byShapes
+        ? 'JOIN bed_shapes bg ON b.id = bg.bed_id'
+        : `JOIN farm_addresses fa ON b.farm_address_id = fa.id
+           LEFT JOIN bed_shapes bg ON b.id = bg.bed_id`}
+      JOIN contracts c ON b.contract_id = c.id
+      LEFT JOIN bed_blocks bb ON b.bed_block_id = bb.id
+      LEFT JOIN farms f ON c.farm_id = f.id
+      CROSS JOIN area
+      WHERE b.retired_at IS NULL ${byShapes ? `AND ${area.condition(target)}` : ''} ${filters}
+      ORDER BY ${area.distance ? 'distance, ' : ''}farm_name, f.id, c.contract_number, c.crop_year, b.bed_name
+    `;
+
+    const result = await client.query(query, params);
+
+    console.log(`📍 Beds ${area.description}${options.inside ? ' (entirely)' : ''}, matched on ${options.match}`);
+
+    if (result.rows.length === 0) {
+      console.log('⚠️  No beds found for the selected area and filters.\n');
+      await client.end();
+      return;
+    }
+
+    const unit = options.radius ? options.radius.unit : null;
+    const beds = result.rows.map(row => ({
+      bedId: row.bed_id,
+      bedHistoryId: row.api_bed_history_id,
+      bedName: row.bed_name,
+      handlerSectionName: row.handler_section_name,
+      acres: row.acres === null ? null : parseFloat(row.acres),
+      variety: row.variety,
+      blockName: row.bed_block_name,
+      contractNumber: row.contract_number,
+      cropYear: row.crop_year,
+      farmId: row.farm_id,
+      farmName: row.farm_name,
+      shapeCount: parseInt(row.shape_count),
+      distance: row.distance === undefined ? undefined : Number(parseFloat(row.distance).toFixed(3)),
+      geometry: row.geometry ? JSON.parse(row.geometry) : null
+    }));
+
+    const farmCount = new Set(beds.map(bed => bed.farmId)).size;
+    const totalAcres = beds.reduce((sum, bed) => sum + (bed.acres || 0), 0);
+
+    if (options.format === 'table') {
+      console.table(beds.map(bed => ({
+        farm: bed.farmName,
+        contract: bed.contractNumber,
+        year: bed.cropYear,
+        block: bed.blockName,
+        bed: bed.bedName || bed.handlerSectionName,
+        bed_history_id: bed.bedHistoryId,
+        variety: bed.variety,
+        acres: bed.acres,
+        ...(unit ? { [`distance_${unit}`]: bed.distance } : {})
+      })));
+    } else {
+      // Create output directory if it doesn't exist
+      const file = options.output || path.join(OUTPUT_DIR, `bed_query.${options.format}`);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+
+      if (options.format === 'csv') {
+        const distanceColumn = unit ? [`distance_${unit}`] : [];
+        const csvHeader = ['farm_id', 'farm_name', 'contract_number', 'crop_year', 'bed_block_name', 'bed_name',
+          'handler_section_name', 'api_bed_history_id', 'variety', 'acres', 'shape_count', ...distanceColumn].join(',') + '\n';
+        const csvRows = beds.map(bed => [
+          bed.farmId,
+          bed.farmName,
+          bed.contractNumber,
+          bed.cropYear,
+          bed.blockName,
+          bed.bedName,
+          bed.handlerSectionName,
+          bed.bedHistoryId,
+          bed.variety,
+          bed.acres,
+          bed.shapeCount,
+          ...(unit ? [bed.distance] : [])
+        ].map(csvValue).join(',')).join('\n');
+        fs.writeFileSync(file, csvHeader + csvRows, 'utf8');
+        console.log(`💾 CSV saved to: ${file}`);
+      } else {
+        // Beds matched on their address but without shapes have null geometry
+        const geojson = {
+          type: 'FeatureCollection',
+          name: `Beds ${area.description}`,
+          crs: {
+            type: 'name',
+            properties: {
+              name: 'urn:ogc:def:crs:OGC:1.3:CRS84'
+            }
+          },
+          features: beds.map(bed => ({
+            type: 'Feature',
+            properties: {
+              bed_id: bed.bedId,
+              api_bed_history_id: bed.bedHistoryId,
+              bed_name: bed.bedName,
+              handler_section_name: bed.handlerSectionName,
+              acres: bed.acres,
+              variety: bed.variety,
+              bed_block_name: bed.blockName,
+              farm_id: bed.farmId,
+              farm_name: bed.farmName,
+              contract_number: bed.contractNumber,
+              crop_year: bed.cropYear,
+              shape_count: bed.shapeCount,
+              ...(unit ? { [`distance_${unit}`]: bed.distance } : {})
+            },
+            geometry: bed.geometry
+          }))
+        };
+        fs.writeFileSync(file, JSON.stringify(geojson, null, 2), 'utf8');
+        console.log(`🗺️  GeoJSON saved to: ${file}`);
+      }
+    }
+
+    console.log(`\n📊 ${beds.length} bed(s) across ${farmCount} farm(s), ${totalAcres.toFixed(2)} reported acres`);
+    if (!options.year && new Set(beds.map(bed => bed.cropYear)).size > 1) {
+      console.log('   (several crop years matched; use --year to pick one)');
+    }
+    console.log('');
+
+    await client.end();
+
+  } catch (error) {
+    console.error('❌ Error querying beds:', error.message);
+    console.error('   Make sure shapes have geometry (node src/database/migrateAddShapeGeometry.js).\n');
+    process.exit(1);
+  }
+}
+
+queryBeds();
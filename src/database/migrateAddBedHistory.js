@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Database Migration: Add Bed History Table
+ * ------------------------------------------
+ * Creates the bed_history table that records field-level bed changes
+ * between fetches, with the contract of each change so the history of a
+ * deleted bed can still be found by contract or farm
+ * Usage: node migrateAddBedHistory.js
+ */
+
+import dotenv from 'dotenv';
+import pg from 'pg';
+
+// Load environment variables
+dotenv.config();
+
+async function migrate() {
+  console.log('🔄 Running migration: Add bed_history table...\n');
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bed_history (
+        id SERIAL PRIMARY KEY,
+        bed_id INTEGER REFERENCES beds(id) ON DELETE SET NULL,
+        api_bed_history_id INTEGER NOT NULL,
+        field_name VARCHAR(50) NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        contract_id INTEGER REFERENCES contracts(id) ON DELETE SET NULL,
+        fetch_run_id UUID,
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Created bed_history table (if it did not exist)');
+
+    await client.query(`
+      ALTER TABLE bed_history
+      ADD COLUMN IF NOT EXISTS contract_id INTEGER REFERENCES contracts(id) ON DELETE SET NULL
+    `);
+    // Rows of beds already deleted have no bed_id left to backfill from
+    const backfill = await client.query(`
+      UPDATE bed_history h SET contract_id = b.contract_id
+      FROM beds b
+      WHERE h.bed_id = b.id AND h.contract_id IS NULL
+    `);
+    console.log(`✅ Added bed_history.contract_id (${backfill.rowCount} row(s) backfilled)`);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_bed_history_bed_id ON bed_history(bed_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_bed_history_api_bed_history_id ON bed_history(api_bed_history_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_bed_history_fetch_run_id ON bed_history(fetch_run_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_bed_history_contract_id ON bed_history(contract_id)');
+    console.log('✅ Created bed_history indexes\n');
+
+    await client.end();
+    console.log('✅ Migration complete!\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error('   Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+migrate();
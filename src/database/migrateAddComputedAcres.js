@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Database Migration: Add Computed Acres to Beds
+ * ----------------------------------------------
+ * Adds beds.computed_acres, the geodesic area of the bed's polygon(s) stored
+ * by npm run check-areas for comparison with the reported acres
+ * Usage: node migrateAddComputedAcres.js
+ */
+
+import dotenv from 'dotenv';
+import pg from 'pg';
+
+// Load environment variables
+dotenv.config();
+
+async function migrate() {
+  console.log('🔄 Running migration: Add computed_acres to beds...\n');
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    await client.query('ALTER TABLE beds ADD COLUMN IF NOT EXISTS computed_acres DECIMAL(10, 4)');
+    console.log('✅ Added computed_acres column to beds (if it did not exist)\n');
+
+    console.log('ℹ️  Run npm run check-areas to compute it.\n');
+
+    await client.end();
+    console.log('✅ Migration complete!\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error('   Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Database Migration: Add Fetch Runs Table
+ * -----------------------------------------
+ * Creates the fetch_runs table holding one row per contract processed by
+ * each npm start run (read by findFailedContracts.js)
+ * Usage: node migrateAddFetchRuns.js
+ */
+
+import dotenv from 'dotenv';
+import pg from 'pg';
+
+// Load environment variables
+dotenv.config();
+
+async function migrate() {
+  console.log('🔄 Running migration: Add fetch_runs table...\n');
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS fetch_runs (
+        id SERIAL PRIMARY KEY,
+        run_id UUID NOT NULL,
+        mode VARCHAR(20) NOT NULL,
+        contract_number VARCHAR(20) NOT NULL,
+        crop_year INTEGER,
+        http_status INTEGER,
+        record_count INTEGER,
+        attempts INTEGER DEFAULT 1,
+        api_success BOOLEAN NOT NULL,
+        db_success BOOLEAN NOT NULL,
+        db_stats JSONB,
+        rejected_records INTEGER DEFAULT 0,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Created fetch_runs table (if it did not exist)');
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_fetch_runs_run_id ON fetch_runs(run_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_fetch_runs_contract ON fetch_runs(contract_number, crop_year)');
+    console.log('✅ Created fetch_runs indexes\n');
+
+    await client.end();
+    console.log('✅ Migration complete!\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error('   Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+migrate();
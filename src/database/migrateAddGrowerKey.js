@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Database Migration: Add Grower Key to Farms
+ * --------------------------------------------
+ * Adds the grower_key column used to match contracts to existing farms
+ * (indexed, not unique; re-running drops the old unique constraint)
+ * Usage: node migrateAddGrowerKey.js
+ * Then run: npm run consolidate-farms (to merge existing duplicate farms)
+ */
+
+import dotenv from 'dotenv';
+import pg from 'pg';
+
+// Load environment variables
+dotenv.config();
+
+async function migrate() {
+  console.log('🔄 Running migration: Add grower_key to farms...\n');
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    await client.query('ALTER TABLE farms ADD COLUMN IF NOT EXISTS grower_key VARCHAR(255)');
+    console.log('✅ Added grower_key column (if it did not exist)');
+
+    // Name-based keys can be shared by distinct growers, so the key is indexed
+    // rather than unique (earlier versions of this migration made it unique)
+    await client.query('ALTER TABLE farms DROP CONSTRAINT IF EXISTS farms_grower_key_key');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_farms_grower_key ON farms(grower_key)');
+    console.log('✅ Indexed grower_key (unique constraint dropped if present)\n');
+
+    await client.end();
+    console.log('✅ Migration complete!\n');
+    console.log('   Next: npm run consolidate-farms to merge duplicate farms\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error('   Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+migrate();
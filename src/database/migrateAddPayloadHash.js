@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Database Migration: Add Payload Hash
+ * ------------------------------------
+ * Adds contracts.payload_hash (hash of the last ingested API payload) and
+ * fetch_runs.unchanged so npm start can skip contracts whose payload has
+ * not changed since the last ingest
+ * Usage: node migrateAddPayloadHash.js
+ */
+
+import dotenv from 'dotenv';
+import pg from 'pg';
+
+// Load environment variables
+dotenv.config();
+
+async function migrate() {
+  console.log('🔄 Running migration: Add payload_hash to contracts...\n');
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    await client.query('ALTER TABLE contracts ADD COLUMN IF NOT EXISTS payload_hash VARCHAR(64)');
+    console.log('✅ Added payload_hash column to contracts');
+
+    await client.query('ALTER TABLE fetch_runs ADD COLUMN IF NOT EXISTS unchanged BOOLEAN DEFAULT FALSE');
+    console.log('✅ Added unchanged column to fetch_runs\n');
+
+    console.log('ℹ️  Existing contracts have no hash yet; each is ingested once more on the next fetch.\n');
+
+    await client.end();
+    console.log('✅ Migration complete!\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error('   Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+migrate();
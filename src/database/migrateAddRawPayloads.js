@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Database Migration: Add Raw Payloads
+ * ------------------------------------
+ * Creates the raw_payloads table (JSONB API response per contract, crop year
+ * and fetch), links contracts and beds to the payload they were last
+ * ingested from, and adds the bed_raw_records view
+ * Usage: node migrateAddRawPayloads.js
+ */
+
+import dotenv from 'dotenv';
+import pg from 'pg';
+
+// Load environment variables
+dotenv.config();
+
+async function migrate() {
+  console.log('🔄 Running migration: Add raw_payloads table...\n');
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS raw_payloads (
+        id SERIAL PRIMARY KEY,
+        contract_number VARCHAR(20) NOT NULL,
+        crop_year INTEGER,
+        payload JSONB NOT NULL,
+        payload_hash VARCHAR(64),
+        record_count INTEGER,
+        source VARCHAR(20),
+        fetch_run_id UUID,
+        fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_raw_payloads_contract ON raw_payloads(contract_number, crop_year, fetched_at)');
+    console.log('✅ Created raw_payloads table (if it did not exist)');
+
+    await client.query('ALTER TABLE contracts ADD COLUMN IF NOT EXISTS raw_payload_id INTEGER REFERENCES raw_payloads(id) ON DELETE SET NULL');
+    await client.query('ALTER TABLE beds ADD COLUMN IF NOT EXISTS raw_payload_id INTEGER REFERENCES raw_payloads(id) ON DELETE SET NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_contracts_raw_payload_id ON contracts(raw_payload_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_beds_raw_payload_id ON beds(raw_payload_id)');
+    console.log('✅ Added raw_payload_id to contracts and beds');
+
+    await client.query(`
+      CREATE OR REPLACE VIEW bed_raw_records AS
+      SELECT
+          b.id as bed_id,
+          b.api_bed_history_id,
+          c.contract_number,
+          c.crop_year,
+          r.id as raw_payload_id,
+          r.fetched_at,
+          r.fetch_run_id,
+          rec.record
+      FROM beds b
+      JOIN contracts c ON b.contract_id = c.id
+      JOIN raw_payloads r ON b.raw_payload_id = r.id
+      CROSS JOIN LATERAL jsonb_array_elements(r.payload) AS rec(record)
+      WHERE rec.record->'BedHistoryId' = to_jsonb(b.api_bed_history_id)
+    `);
+    console.log('✅ Created bed_raw_records view\n');
+
+    await client.query('COMMIT');
+
+    console.log('ℹ️  Existing rows are linked on their next ingest (use npm start -- --force or npm run reimport -- --force).\n');
+
+    await client.end();
+    console.log('✅ Migration complete!\n');
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Migration failed:', error.message);
+    console.error('   Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Database Migration: Add Retired Timestamps to Beds and Bed Blocks
+ * ------------------------------------------------------------------
+ * Adds retired_at to beds and bed_blocks (set when they disappear from a
+ * contract's API payload) and recreates the summary views so they only
+ * count active beds
+ * Usage: node migrateAddRetiredAt.js
+ */
+
+import dotenv from 'dotenv';
+import pg from 'pg';
+
+// Load environment variables
+dotenv.config();
+
+async function migrate() {
+  console.log('🔄 Running migration: Add retired_at to beds and bed_blocks...\n');
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    await client.query('BEGIN');
+
+    await client.query('ALTER TABLE beds ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP');
+    await client.query('ALTER TABLE bed_blocks ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_beds_retired_at ON beds(retired_at)');
+    console.log('✅ Added retired_at columns\n');
+
+    // Recreate summary views so they only count active beds
+    await client.query('DROP VIEW IF EXISTS contract_summary');
+    await client.query(`
+      CREATE VIEW contract_summary AS
+      SELECT
+          c.id as contract_id,
+          c.api_contract_id,
+          c.contract_number,
+          c.crop_year,
+          f.id as farm_id,
+          f.name as farm_name,
+          COUNT(DISTINCT b.id) as total_beds,
+          COUNT(DISTINCT bb.id) as total_bed_blocks,
+          COUNT(DISTINCT b.bed_name) as unique_bed_names,
+          SUM(b.acres) as total_acres,
+          COUNT(DISTINCT b.variety) as variety_count,
+          MIN(b.plant_date) as earliest_plant_date,
+          MAX(b.plant_date) as latest_plant_date
+      FROM contracts c
+      LEFT JOIN farms f ON c.farm_id = f.id
+      LEFT JOIN beds b ON c.id = b.contract_id AND b.retired_at IS NULL
+      LEFT JOIN bed_blocks bb ON b.bed_block_id = bb.id
+      GROUP BY c.id, c.api_contract_id, c.contract_number, c.crop_year, f.id, f.name
+      ORDER BY c.contract_number, c.crop_year
+    `);
+    console.log('✅ Recreated contract_summary view');
+
+    await client.query('DROP VIEW IF EXISTS farm_summary');
+    await client.query(`
+      CREATE VIEW farm_summary AS
+      SELECT
+          f.*,
+          COUNT(DISTINCT c.id) as total_contracts,
+          COUNT(DISTINCT b.id) as total_beds,
+          COUNT(DISTINCT bb.id) as total_bed_blocks,
+          SUM(b.acres) as total_acres,
+          MIN(c.crop_year) as earliest_crop_year,
+          MAX(c.crop_year) as latest_crop_year
+      FROM farms f
+      LEFT JOIN contracts c ON f.id = c.farm_id
+      LEFT JOIN beds b ON c.id = b.contract_id AND b.retired_at IS NULL
+      LEFT JOIN bed_blocks bb ON b.bed_block_id = bb.id
+      GROUP BY f.id
+      ORDER BY f.name
+    `);
+    console.log('✅ Recreated farm_summary view');
+
+    await client.query('DROP VIEW IF EXISTS bed_block_summary');
+    await client.query(`
+      CREATE VIEW bed_block_summary AS
+      SELECT
+          bb.id as bed_block_id,
+          bb.name as bed_block_name,
+          c.id as contract_id,
+          c.contract_number,
+          c.crop_year,
+          COUNT(DISTINCT b.id) as total_beds,
+          SUM(b.acres) as total_acres,
+          COUNT(DISTINCT b.variety) as variety_count
+      FROM bed_blocks bb
+      JOIN contracts c ON bb.contract_id = c.id
+      LEFT JOIN beds b ON bb.id = b.bed_block_id AND b.retired_at IS NULL
+      WHERE bb.retired_at IS NULL
+      GROUP BY bb.id, bb.name, c.id, c.contract_number, c.crop_year
+      ORDER BY c.contract_number, bb.name
+    `);
+    console.log('✅ Recreated bed_block_summary view');
+
+    await client.query('COMMIT');
+
+    await client.end();
+    console.log('\n✅ Migration complete!\n');
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Migration failed:', error.message);
+    console.error('   Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Database Migration: Add PostGIS Geometry to Shapes
+ * --------------------------------------------------
+ * Enables PostGIS, adds shapes.geom (Polygon, EPSG:4326) with a GiST index,
+ * fills it from the existing shape_value text and adds the bed_geometries view.
+ * Swapped lat/lon is judged against SHAPE_REGION_BBOX (North America by
+ * default) and the farm's geocoded address, as on ingest.
+ * Needs beds.retired_at (migrateAddRetiredAt.js), which the view filters on.
+ * Usage: node migrateAddShapeGeometry.js
+ */
+
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { shapeGeoJSON, shapeReference, shapeRegion } from '../lib/polygon.js';
+
+// Load environment variables
+dotenv.config();
+
+const BATCH_SIZE = 1000;
+
+async function migrate() {
+  console.log('🔄 Running migration: Add PostGIS geometry to shapes...\n');
+
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to database\n');
+
+    // bed_geometries leaves out retired beds
+    const retiredAt = await client.query(`
+      SELECT 1
+      FROM information_schema.columns
+      WHERE table_name = 'beds' AND column_name = 'retired_at'
+    `);
+    if (retiredAt.rows.length === 0) {
+      console.error('❌ beds.retired_at is missing: run node src/database/migrateAddRetiredAt.js first.\n');
+      await client.end();
+      process.exit(1);
+    }
+
+    await client.query('BEGIN');
+
+    await client.query('CREATE EXTENSION IF NOT EXISTS postgis');
+    console.log('✅ Enabled PostGIS extension');
+
+    await client.query('ALTER TABLE shapes ADD COLUMN IF NOT EXISTS geom geometry(Polygon, 4326)');
+    console.log('✅ Added geom column to shapes');
+
+    // Fill geom for shapes stored before this migration, parsing shape_value
+    // the same way ingest does. Pages by id: shapes that cannot be repaired
+    // stay NULL, so "geom IS NULL" alone would return them again.
+    const region = shapeRegion();
+    let populated = 0;
+    let unrepairable = 0;
+    let lastId = 0;
+
+    for (;;) {
+      const pending = await client.query(`
+        SELECT s.id, s.shape_value, fa.longitude, fa.latitude
+        FROM shapes s
+        JOIN beds b ON s.bed_id = b.id
+        JOIN contracts c ON b.contract_id = c.id
+        LEFT JOIN LATERAL (
+          SELECT longitude, latitude
+          FROM farm_addresses
+          WHERE farm_id = c.farm_id AND latitude IS NOT NULL AND longitude IS NOT NULL
+          ORDER BY id
+          LIMIT 1
+        ) fa ON TRUE
+        WHERE s.geom IS NULL AND s.id > $1
+        ORDER BY s.id
+        LIMIT $2
+      `, [lastId, BATCH_SIZE]);
+      if (pending.rows.length === 0) break;
+      lastId = pending.rows[pending.rows.length - 1].id;
+
+      const batch = pending.rows.map(row => {
+        const location = row.latitude === null ? null : [Number(row.longitude), Number(row.latitude)];
+        const reference = shapeReference([row.shape_value], { location, region });
+        return { id: row.id, geojson: shapeGeoJSON(row.shape_value, { reference, region }) };
+      });
+      const parsed = batch.filter(row => row.geojson !== null);
+      unrepairable += batch.length - parsed.length;
+
+      const result = await client.query(
+        `UPDATE shapes s
+         SET geom = ST_SetSRID(ST_GeomFromGeoJSON(r.geojson), 4326)
+         FROM unnest($1::int[], $2::text[]) AS r(id, geojson)
+         WHERE s.id = r.id`,
+        [parsed.map(row => row.id), parsed.map(row => row.geojson)]
+      );
+      populated += result.rowCount;
+    }
+    console.log(`✅ Populated geom for ${populated} shape(s)${unrepairable > 0 ? ` (${unrepairable} shape value(s) that cannot be repaired left NULL; see npm run check-shapes)` : ''}`);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_shapes_geom ON shapes USING GIST (geom)');
+    console.log('✅ Created GiST index on shapes.geom');
+
+    await client.query(`
+      CREATE OR REPLACE VIEW bed_geometries AS
+      SELECT
+          b.id as bed_id,
+          b.api_bed_history_id,
+          b.bed_name,
+          b.acres,
+          c.id as contract_id,
+          c.contract_number,
+          c.crop_year,
+          c.farm_id,
+          COUNT(s.id) as shape_count,
+          ST_Multi(ST_Collect(s.geom ORDER BY s.id)) as geom
+      FROM beds b
+      JOIN contracts c ON b.contract_id = c.id
+      JOIN shapes s ON b.id = s.bed_id AND s.geom IS NOT NULL
+      WHERE b.retired_at IS NULL
+      GROUP BY b.id, c.id
+    `);
+    console.log('✅ Created bed_geometries view\n');
+
+    await client.query('COMMIT');
+
+    await client.end();
+    console.log('✅ Migration complete!\n');
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Migration failed:', error.message);
+    console.error('   Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -4,43 +4,31 @@
  * --------------------------------------------------------
  * Generates separate GeoJSON files for each farm
  * Output: output/farms/{farm_name}.geojson
- * Usage: npm run export-beds-by-farm
+ * Usage:
+ *   npm run export-beds-by-farm
+ *   npm run export-beds-by-farm -- --simplify 0.5 --precision 6 --compact   (smaller files)
  */
 
 import fs from 'fs';
 import path from 'path';
+import { parseArgs } from 'util';
 import dotenv from 'dotenv';
 import pg from 'pg';
+import {
+  EXPORT_OPTIONS,
+  EXPORT_USAGE,
+  readExportOptions,
+  bedGeometrySQL,
+  serializeGeoJSON,
+  formatSize,
+  formatSizeChange
+} from '../lib/geojsonExport.js';
 
 // Load environment variables
 dotenv.config();
 
 const OUTPUT_DIR = './output/farms';
 
-/**
- * Parse PostgreSQL polygon format to GeoJSON coordinates
- * Input: "((-89.64,44.30),(-89.63,44.30),...)"
- * Output: [[[-89.64, 44.30], [-89.63, 44.30], ...]]
- */
-function parsePolygonToGeoJSON(polygonString) {
-  try {
-    // Remove outer parentheses and split into coordinate pairs
-    const coordString = polygonString.replace(/^\(\(/, '').replace(/\)\)$/, '');
-    const pairs = coordString.split('),(');
-
-    const coordinates = pairs.map(pair => {
-      const [lon, lat] = pair.split(',').map(parseFloat);
-      return [lon, lat];
-    });
-
-    // GeoJSON polygons need an array of rings (first is outer, rest are holes)
-    return [coordinates];
-  } catch (error) {
-    console.error('Error parsing polygon:', polygonString, error);
-    return null;
-  }
-}
-
 /**
  * Sanitize filename by replacing invalid characters
  */
@@ -51,7 +39,19 @@ function sanitizeFilename(name) {
     .replace(/^_|_$/g, '');
 }
 
+function parseOptions() {
+  try {
+    const { values } = parseArgs({ options: EXPORT_OPTIONS });
+    return readExportOptions(values);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(`   Options: ${EXPORT_USAGE}\n`);
+    process.exit(1);
+  }
+}
+
 async function exportBedsByFarm() {
+  const options = parseOptions();
   console.log('🗺️  Exporting Farm Beds by Individual Farm to GeoJSON...\n');
 
   const client = new pg.Client({
@@ -68,15 +68,12 @@ async function exportBedsByFarm() {
 
     // First, get list of farms with bed data
     const farmsQuery = `
-      SELECT DISTINCT
+      SELECT
         f.id as farm_id,
         f.name as farm_name,
-        COUNT(DISTINCT b.id) as bed_count
+        COUNT(bg.bed_id) as bed_count
       FROM farms f
-      JOIN contracts c ON f.id = c.farm_id
-      JOIN beds b ON c.id = b.contract_id
-      JOIN shapes s ON b.id = s.bed_id
-      WHERE s.shape_value IS NOT NULL
+      JOIN bed_geometries bg ON f.id = bg.farm_id
       GROUP BY f.id, f.name
       ORDER BY f.name
     `;
@@ -98,6 +95,8 @@ async function exportBedsByFarm() {
     let totalFiles = 0;
     let totalBeds = 0;
     let totalAcreage = 0;
+    let totalBytes = 0;
+    let totalDefaultBytes = 0;
 
     console.log('🔄 Exporting farms...\n');
     console.log('-'.repeat(70));
@@ -108,7 +107,7 @@ async function exportBedsByFarm() {
       const filename = sanitizeFilename(farmName) + '.geojson';
       const filepath = path.join(OUTPUT_DIR, filename);
 
-      // Query beds for this specific farm
+      // Query beds for this specific farm, one row per bed with all its shapes
       const bedsQuery = `
         SELECT
           b.id as bed_id,
@@ -125,14 +124,14 @@ async function exportBedsByFarm() {
           bb.name as bed_block_name,
           c.contract_number,
           c.crop_year,
-          s.shape_type,
-          s.shape_value
-        FROM beds b
+          bg.shape_count,
+          ${options.changesGeometry ? `${bedGeometrySQL('bg.geom', 'bg.shape_count')} as default_geometry,` : ''}
+          ${bedGeometrySQL('bg.geom', 'bg.shape_count', options)} as geometry
+        FROM bed_geometries bg
+        JOIN beds b ON bg.bed_id = b.id
         JOIN contracts c ON b.contract_id = c.id
         LEFT JOIN bed_blocks bb ON b.bed_block_id = bb.id
-        JOIN farms f ON c.farm_id = f.id
-        LEFT JOIN shapes s ON b.id = s.bed_id
-        WHERE f.id = $1 AND s.shape_value IS NOT NULL
+        WHERE bg.farm_id = $1
         ORDER BY c.contract_number, b.bed_name
       `;
 
@@ -151,18 +150,11 @@ async function exportBedsByFarm() {
         features: []
       };
 
-      let validShapes = 0;
+      let farmBeds = 0;
       let farmAcreage = 0;
 
-      // Convert each bed shape to a GeoJSON feature
+      // Convert each bed to a GeoJSON feature (MultiPolygon if it has several shapes)
       for (const row of bedsResult.rows) {
-        // Parse polygon coordinates
-        const coordinates = parsePolygonToGeoJSON(row.shape_value);
-
-        if (!coordinates) {
-          continue;
-        }
-
         // Build fruit types array
         const fruitTypes = [];
         if (row.fruit_type_export) fruitTypes.push('Export');
@@ -181,6 +173,7 @@ async function exportBedsByFarm() {
             bed_name: row.bed_name,
             handler_section_name: row.handler_section_name,
             acres: acres,
+            shape_count: parseInt(row.shape_count),
             variety: row.variety,
             plant_date: row.plant_date ? row.plant_date.toISOString().split('T')[0] : null,
             bed_block_name: row.bed_block_name,
@@ -190,26 +183,29 @@ async function exportBedsByFarm() {
             is_organic: row.fruit_type_organic || false,
             is_export: row.fruit_type_export || false
           },
-          geometry: {
-            type: 'Polygon',
-            coordinates: coordinates
-          }
+          geometry: JSON.parse(row.geometry)
         };
 
         geojson.features.push(feature);
-        validShapes++;
+        farmBeds++;
       }
 
       // Write GeoJSON file for this farm
-      fs.writeFileSync(filepath, JSON.stringify(geojson, null, 2), 'utf8');
+      const defaultGeometries = options.changesGeometry
+        ? bedsResult.rows.map(row => JSON.parse(row.default_geometry))
+        : null;
+      const output = serializeGeoJSON(geojson, defaultGeometries, options);
+      fs.writeFileSync(filepath, output.text, 'utf8');
 
       console.log(`✅ ${farmName}`);
-      console.log(`   → ${validShapes} beds, ${farmAcreage.toFixed(2)} acres`);
-      console.log(`   → ${filename}`);
+      console.log(`   → ${farmBeds} beds, ${farmAcreage.toFixed(2)} acres`);
+      console.log(`   → ${filename} (${output.bytes === output.defaultBytes ? formatSize(output.bytes) : formatSizeChange(output.defaultBytes, output.bytes)})`);
 
       totalFiles++;
-      totalBeds += validShapes;
+      totalBeds += farmBeds;
       totalAcreage += farmAcreage;
+      totalBytes += output.bytes;
+      totalDefaultBytes += output.defaultBytes;
     }
 
     console.log('-'.repeat(70));
@@ -218,6 +214,7 @@ async function exportBedsByFarm() {
     console.log(`Farms exported: ${totalFiles}`);
     console.log(`Total beds: ${totalBeds}`);
     console.log(`Total acreage: ${totalAcreage.toFixed(2)} acres`);
+    console.log(`Total size: ${totalBytes === totalDefaultBytes ? formatSize(totalBytes) : formatSizeChange(totalDefaultBytes, totalBytes)}`);
     console.log(`Output directory: ${path.resolve(OUTPUT_DIR)}`);
     console.log('='.repeat(70));
 
@@ -4,13 +4,26 @@
  * -----------------------------------------
  * Generates a single GeoJSON file with all bed polygons from all farms
  * Output: output/beds_all_farms.geojson
- * Usage: npm run export-beds
+ * Usage:
+ *   npm run export-beds
+ *   npm run export-beds -- --simplify 0.5 --precision 6 --compact   (smaller file)
  */
 
 import fs from 'fs';
 import path from 'path';
+import { parseArgs } from 'util';
 import dotenv from 'dotenv';
 import pg from 'pg';
+import {
+  EXPORT_OPTIONS,
+  EXPORT_USAGE,
+  readExportOptions,
+  bedGeometrySQL,
+  vertexCountSQL,
+  serializeGeoJSON,
+  formatSize,
+  formatSizeChange
+} from '../lib/geojsonExport.js';
 
 // Load environment variables
 dotenv.config();
@@ -18,31 +31,19 @@ dotenv.config();
 const OUTPUT_DIR = './output';
 const GEOJSON_FILE = path.join(OUTPUT_DIR, 'beds_all_farms.geojson');
 
-/**
- * Parse PostgreSQL polygon format to GeoJSON coordinates
- * Input: "((-89.64,44.30),(-89.63,44.30),...)"
- * Output: [[[-89.64, 44.30], [-89.63, 44.30], ...]]
- */
-function parsePolygonToGeoJSON(polygonString) {
+function parseOptions() {
   try {
-    // Remove outer parentheses and split into coordinate pairs
-    const coordString = polygonString.replace(/^\(\(/, '').replace(/\)\)$/, '');
-    const pairs = coordString.split('),(');
-
-    const coordinates = pairs.map(pair => {
-      const [lon, lat] = pair.split(',').map(parseFloat);
-      return [lon, lat];
-    });
-
-    // GeoJSON polygons need an array of rings (first is outer, rest are holes)
-    return [coordinates];
+    const { values } = parseArgs({ options: EXPORT_OPTIONS });
+    return readExportOptions(values);
   } catch (error) {
-    console.error('Error parsing polygon:', polygonString, error);
-    return null;
+    console.error(`❌ ${error.message}`);
+    console.error(`   Options: ${EXPORT_USAGE}\n`);
+    process.exit(1);
   }
 }
 
 async function exportBedsToGeoJSON() {
+  const options = parseOptions();
   console.log('🗺️  Exporting All Farm Beds to GeoJSON...\n');
 
   const client = new pg.Client({
@@ -57,7 +58,10 @@ async function exportBedsToGeoJSON() {
     await client.connect();
     console.log('✅ Connected to database\n');
 
-    // Query to get all beds with shapes and related data
+    // Query to get all beds with shapes and related data, one row per bed with
+    // its PostGIS geometry (a MultiPolygon if the bed has several shapes),
+    // wound counterclockwise as RFC 7946 requires. The default geometry is
+    // only needed to report what --simplify/--precision saved.
     const query = `
       SELECT
         b.id as bed_id,
@@ -76,25 +80,36 @@ async function exportBedsToGeoJSON() {
         c.crop_year,
         f.id as farm_id,
         f.name as farm_name,
-        s.shape_type,
-        s.shape_value
-      FROM beds b
+        bg.shape_count,
+        ST_NPoints(bg.geom) as vertices,
+        ${vertexCountSQL('bg.geom', options)} as exported_vertices,
+        ${options.changesGeometry ? `${bedGeometrySQL('bg.geom', 'bg.shape_count')} as default_geometry,` : ''}
+        ${bedGeometrySQL('bg.geom', 'bg.shape_count', options)} as geometry
+      FROM bed_geometries bg
+      JOIN beds b ON bg.bed_id = b.id
       JOIN contracts c ON b.contract_id = c.id
       LEFT JOIN bed_blocks bb ON b.bed_block_id = bb.id
       LEFT JOIN farms f ON c.farm_id = f.id
-      LEFT JOIN shapes s ON b.id = s.bed_id
-      WHERE s.shape_value IS NOT NULL
       ORDER BY f.name, c.contract_number, b.bed_name
     `;
 
     const result = await client.query(query);
 
+    // Shapes whose text could not be turned into a geometry are left out
+    const skipped = await client.query(`
+      SELECT COUNT(*) as count
+      FROM shapes s
+      JOIN beds b ON s.bed_id = b.id
+      WHERE s.geom IS NULL AND b.retired_at IS NULL
+    `);
+    const invalidShapes = parseInt(skipped.rows[0].count);
+
     if (result.rows.length === 0) {
       console.log('⚠️  No bed shapes found in database.\n');
       process.exit(0);
     }
 
-    console.log(`📍 Found ${result.rows.length} bed shapes\n`);
+    console.log(`📍 Found ${result.rows.length} beds with shapes\n`);
 
     // Build GeoJSON structure
     const geojson = {
@@ -110,17 +125,17 @@ async function exportBedsToGeoJSON() {
     };
 
     let validShapes = 0;
-    let invalidShapes = 0;
+    let multiShapeBeds = 0;
+    let vertices = 0;
+    let exportedVertices = 0;
 
-    // Convert each bed shape to a GeoJSON feature
+    // Convert each bed to a GeoJSON feature
     for (const row of result.rows) {
-      // Parse polygon coordinates
-      const coordinates = parsePolygonToGeoJSON(row.shape_value);
-
-      if (!coordinates) {
-        invalidShapes++;
-        continue;
-      }
+      const shapeCount = parseInt(row.shape_count);
+      validShapes += shapeCount;
+      if (shapeCount > 1) multiShapeBeds++;
+      vertices += parseInt(row.vertices);
+      exportedVertices += parseInt(row.exported_vertices);
 
       // Build fruit types array
       const fruitTypes = [];
@@ -137,6 +152,7 @@ async function exportBedsToGeoJSON() {
           bed_name: row.bed_name,
           handler_section_name: row.handler_section_name,
           acres: row.acres ? parseFloat(row.acres) : 0,
+          shape_count: shapeCount,
           variety: row.variety,
           plant_date: row.plant_date ? row.plant_date.toISOString().split('T')[0] : null,
           bed_block_name: row.bed_block_name,
@@ -148,14 +164,10 @@ async function exportBedsToGeoJSON() {
           is_organic: row.fruit_type_organic || false,
           is_export: row.fruit_type_export || false
         },
-        geometry: {
-          type: 'Polygon',
-          coordinates: coordinates
-        }
+        geometry: JSON.parse(row.geometry)
       };
 
       geojson.features.push(feature);
-      validShapes++;
     }
 
     // Create output directory if it doesn't exist
@@ -164,14 +176,25 @@ async function exportBedsToGeoJSON() {
     }
 
     // Write GeoJSON file
-    fs.writeFileSync(GEOJSON_FILE, JSON.stringify(geojson, null, 2), 'utf8');
+    const defaultGeometries = options.changesGeometry
+      ? result.rows.map(row => JSON.parse(row.default_geometry))
+      : null;
+    const output = serializeGeoJSON(geojson, defaultGeometries, options);
+    fs.writeFileSync(GEOJSON_FILE, output.text, 'utf8');
 
     console.log('✅ GeoJSON file created successfully!\n');
     console.log(`📁 File: ${GEOJSON_FILE}`);
 
-    // Show file statistics
-    const stats = fs.statSync(GEOJSON_FILE);
-    console.log(`📊 File size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
+    // Show file statistics, compared with a default export when options shrink it
+    if (output.bytes === output.defaultBytes) {
+      console.log(`📊 File size: ${formatSize(output.bytes)}`);
+    } else {
+      console.log(`📊 File size: ${formatSizeChange(output.defaultBytes, output.bytes)}`);
+    }
+    if (options.simplify !== null) {
+      console.log(`📊 Vertices: ${vertices} → ${exportedVertices} (simplified to ${options.simplify} m)`);
+    }
+    console.log(`📍 Bed features: ${geojson.features.length} (${multiShapeBeds} MultiPolygon)`);
     console.log(`📍 Valid polygons: ${validShapes}`);
     if (invalidShapes > 0) {
       console.log(`⚠️  Invalid polygons skipped: ${invalidShapes}`);
@@ -179,13 +202,12 @@ async function exportBedsToGeoJSON() {
 
     // Calculate summary statistics
     const uniqueFarms = new Set(result.rows.map(r => r.farm_id)).size;
-    const uniqueBeds = new Set(result.rows.map(r => r.bed_id)).size;
     const totalAcreage = result.rows.reduce((sum, r) => sum + parseFloat(r.acres || 0), 0);
 
     console.log('\n📊 SUMMARY STATISTICS');
     console.log('='.repeat(70));
     console.log(`Farms with bed data: ${uniqueFarms}`);
-    console.log(`Total beds: ${uniqueBeds}`);
+    console.log(`Total beds: ${result.rows.length}`);
     console.log(`Total bed polygons: ${validShapes}`);
     console.log(`Total acreage: ${totalAcreage.toFixed(2)} acres`);
     console.log('='.repeat(70));
@@ -43,7 +43,7 @@ async function exportToGeoJSON() {
           SUM(b.acres) as total_acres
         FROM farms f
         LEFT JOIN contracts c ON f.id = c.farm_id
-        LEFT JOIN beds b ON c.id = b.contract_id
+        LEFT JOIN beds b ON c.id = b.contract_id AND b.retired_at IS NULL
         GROUP BY f.id, f.name
       )
       SELECT
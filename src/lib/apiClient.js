@@ -0,0 +1,96 @@
+/**
+ * Ocean Spray Grower API Client
+ * -----------------------------
+ * All Grower API access goes through a client object with one method:
+ *
+ *   fetchContract(contractNumber, cropYear, { onRetry }) → { data, status, attempts }
+ *
+ * Failures reject with an Error carrying `status` (HTTP status or null for
+ * network errors/timeouts) and `attempts`. fetchContracts.js accepts any
+ * object with this shape; createApiClient() is the HTTP implementation,
+ * pointed at production or at the local mock server (src/mock/mockServer.js).
+ */
+
+import axios from 'axios';
+import { createRateLimiter, withRetry } from './concurrency.js';
+
+export const DEFAULT_API_URL = 'https://grower-gbs-prod.oceanspray.io/v1';
+
+// HTTP statuses worth retrying (rate limited or server-side trouble)
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Error codes of timeouts and dropped or refused connections worth retrying
+const RETRYABLE_CODES = new Set([
+  'ECONNABORTED', 'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT',
+  'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'
+]);
+
+/**
+ * True when an API error is transient and the request should be retried:
+ * a retryable HTTP status, a timeout or a network error. Anything else (a
+ * bad URL, a bug in the request code) fails on the first attempt.
+ */
+export function isRetryableError(err) {
+  if (err.response) return RETRYABLE_STATUSES.has(err.response.status);
+  return RETRYABLE_CODES.has(err.code);
+}
+
+/**
+ * Delay requested by the server via Retry-After (seconds), if any
+ */
+function retryAfterMs(err) {
+  const header = err.response?.headers?.['retry-after'];
+  const seconds = Number(header);
+  return header && Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * Create an HTTP client for the Grower API.
+ * Requests are rate limited per host and retried with exponential backoff
+ * on 408/429/5xx, timeouts and network errors.
+ */
+export function createApiClient({
+  baseUrl = DEFAULT_API_URL,
+  token,
+  rate = 5,
+  retries = 3,
+  timeoutMs = 30000
+} = {}) {
+  const limiter = createRateLimiter(rate);
+  const root = baseUrl.replace(/\/+$/, '');
+  const host = new URL(root).host;
+
+  return {
+    baseUrl: root,
+
+    async fetchContract(contractNumber, cropYear, { onRetry } = {}) {
+      const url = `${root}/bog/${encodeURIComponent(contractNumber)}`;
+
+      try {
+        const { value: response, attempts } = await withRetry(async () => {
+          await limiter.acquire(host);
+          return axios.get(url, {
+            headers: { 'Content-Type': 'application/json' },
+            params: { token, cropYear },
+            timeout: timeoutMs,
+          });
+        }, {
+          retries,
+          isRetryable: isRetryableError,
+          retryAfterMs,
+          onRetry: (err, attempt, delayMs) => {
+            onRetry?.(err.response?.status || err.code || 'N/A', attempt, delayMs);
+          },
+        });
+
+        return { data: response.data, status: response.status, attempts };
+
+      } catch (err) {
+        const error = new Error(err.response?.data?.message || err.message);
+        error.status = err.response?.status ?? null;
+        error.attempts = err.attempts || 1;
+        throw error;
+      }
+    }
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Bed Report Helpers
+ * ------------------
+ * Shared by the commands that query and check beds (query-beds, check-areas,
+ * check-shapes, check-overlaps, check-buffers, bed-history): the
+ * --contract/--farm/--year filters, distance options with units, acre
+ * conversion and CSV quoting (also used by failed-contracts).
+ */
+
+export const SQ_METERS_PER_ACRE = 4046.8564224;
+
+// Meters per unit accepted by distance options (--radius, --buffer)
+export const DISTANCE_UNITS = { ft: 0.3048, m: 1, mi: 1609.344, km: 1000 };
+
+/**
+ * Parse a distance such as "25", "25ft", "10m" or "2mi" for --`option`;
+ * a bare number is in `defaultUnit`.
+ * Returns { value, unit, meters }; throws on bad input.
+ */
+export function parseDistance(value, defaultUnit, option) {
+  const match = /^(\d+(?:\.\d+)?)\s*(ft|m|mi|km)?$/i.exec(value.trim());
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`--${option} must be a positive distance such as 25, 25${defaultUnit}, 10m or 0.1km (${defaultUnit} by default), got "${value}"`);
+  }
+  const unit = (match[2] || defaultUnit).toLowerCase();
+  return { value: Number(match[1]), unit, meters: Number(match[1]) * DISTANCE_UNITS[unit] };
+}
+
+/**
+ * Parse a --year filter as a 4-digit crop year; undefined when not given.
+ * Throws on bad input.
+ */
+export function parseYear(value) {
+  if (value === undefined) return undefined;
+  if (!/^\d{4}$/.test(String(value).trim())) {
+    throw new Error(`--year must be a 4-digit year such as 2025, got "${value}"`);
+  }
+  return Number(value);
+}
+
+/** "$1 = col", or "$1 IN (a, b)" when any of several columns may match */
+function equals(columns, placeholder) {
+  return columns.length === 1 ? `${columns[0]} = ${placeholder}` : `${placeholder} IN (${columns.join(', ')})`;
+}
+
+/**
+ * Build "AND ..." conditions for the --contract, --farm (name or id) and
+ * --year filters, pushing their values onto `params`. `columns` overrides the
+ * columns matched (contracts c, farms f by default); a column given as an
+ * array matches when any of them does, e.g. either bed of a pair.
+ * Throws on a malformed --year.
+ */
+export function buildFilters(options, params, columns = {}) {
+  const asList = column => [column].flat();
+  const contract = asList(columns.contract ?? 'c.contract_number');
+  const farmId = asList(columns.farmId ?? 'f.id');
+  const farmName = asList(columns.farmName ?? 'f.name');
+  const year = asList(columns.year ?? 'c.crop_year');
+  const conditions = [];
+
+  if (options.contract) {
+    params.push(options.contract);
+    conditions.push(equals(contract, `$${params.length}`));
+  }
+
+  if (options.farm) {
+    if (/^\d+$/.test(options.farm)) {
+      params.push(Number(options.farm));
+      conditions.push(equals(farmId, `$${params.length}`));
+    } else {
+      params.push(`%${options.farm}%`);
+      const matches = farmName.map(column => `${column} ILIKE $${params.length}`);
+      conditions.push(matches.length === 1 ? matches[0] : `(${matches.join(' OR ')})`);
+    }
+  }
+
+  if (options.year !== undefined) {
+    params.push(parseYear(options.year));
+    conditions.push(equals(year, `$${params.length}`));
+  }
+
+  return conditions.map(condition => `AND ${condition}`).join(' ');
+}
+
+/** Quote a CSV field */
+export function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
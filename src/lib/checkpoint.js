@@ -0,0 +1,87 @@
+/**
+ * Fetch Run Checkpoint
+ * --------------------
+ * npm start records the planned contract/year items of a run and marks each
+ * one done as soon as it has been processed, so an interrupted run can be
+ * continued with --resume. The file is rewritten after every contract and
+ * stamped finishedAt when the run completes.
+ *
+ *   {
+ *     "runId": "…", "mode": "api", "startedAt": "…", "updatedAt": "…",
+ *     "finishedAt": null,
+ *     "items": [{ "contractNumber": "0781502", "cropYear": 2025 }, …],
+ *     "completed": ["0781502|2025", …]
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_CHECKPOINT_FILE = './logs/checkpoint.json';
+
+function itemKey(item) {
+  return `${item.contractNumber}|${item.cropYear}`;
+}
+
+function writeCheckpoint(filePath, state) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  // Write then rename so an interrupt never leaves a truncated file
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Read a checkpoint file, or null if there is none
+ */
+export function loadCheckpoint(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Items of a checkpointed run that have not been processed yet
+ */
+export function remainingItems(state) {
+  const completed = new Set(state.completed);
+  return state.items.filter(item => !completed.has(itemKey(item)));
+}
+
+/**
+ * Start tracking a run. Pass an existing checkpoint state to continue it.
+ * Returns { state, markDone(item), finish() }.
+ */
+export function openCheckpoint(filePath, { runId, mode, items, state = null }) {
+  const now = new Date().toISOString();
+  const current = state || {
+    runId,
+    mode,
+    startedAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    items: items.map(({ contractNumber, cropYear }) => ({ contractNumber, cropYear })),
+    completed: []
+  };
+  const completed = new Set(current.completed);
+
+  writeCheckpoint(filePath, current);
+
+  return {
+    state: current,
+
+    markDone(item) {
+      completed.add(itemKey(item));
+      current.completed = [...completed];
+      current.updatedAt = new Date().toISOString();
+      writeCheckpoint(filePath, current);
+    },
+
+    finish() {
+      current.finishedAt = new Date().toISOString();
+      current.updatedAt = current.finishedAt;
+      writeCheckpoint(filePath, current);
+    }
+  };
+}
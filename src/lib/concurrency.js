@@ -0,0 +1,95 @@
+/**
+ * Concurrency Helpers
+ * -------------------
+ * Bounded worker pool, per-host rate limiting and retry with exponential
+ * backoff, shared by commands that call external APIs.
+ */
+
+/**
+ * Sleep for specified milliseconds
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run worker(item, index) over items with at most `concurrency` in flight.
+ * Results are returned in the same order as items.
+ */
+export async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
+
+/**
+ * Create a rate limiter allowing at most `requestsPerSecond` request starts
+ * per host. Call `await limiter.acquire(host)` before each request.
+ * A rate of 0 (or less) disables limiting.
+ */
+export function createRateLimiter(requestsPerSecond) {
+  const intervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  const nextSlot = new Map(); // Key: host, Value: earliest start time (ms)
+
+  return {
+    async acquire(host) {
+      if (intervalMs === 0) return;
+
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot.get(host) || 0);
+      nextSlot.set(host, slot + intervalMs);
+
+      if (slot > now) {
+        await sleep(slot - now);
+      }
+    }
+  };
+}
+
+/**
+ * Call fn(attempt) until it succeeds, retrying errors accepted by
+ * isRetryable with exponential backoff plus jitter. No delay exceeds
+ * maxDelayMs, including one requested by the server.
+ * Resolves to { value, attempts }; rejects with the last error, which
+ * carries an `attempts` property.
+ */
+export async function withRetry(fn, {
+  retries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  isRetryable = () => true,
+  retryAfterMs = () => null,
+  onRetry = () => {}
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const value = await fn(attempt);
+      return { value, attempts: attempt };
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      // Honour a server-provided delay (e.g. Retry-After) when there is one,
+      // up to maxDelayMs
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      const serverDelayMs = retryAfterMs(error);
+      const delayMs = serverDelayMs === null || serverDelayMs === undefined
+        ? Math.round(backoff / 2 + Math.random() * backoff / 2)
+        : Math.min(maxDelayMs, Math.max(0, serverDelayMs));
+      onRetry(error, attempt, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Contract List Sources
+ * ---------------------
+ * Where npm start gets the contract numbers to fetch:
+ *   file    one contract number per line (input/contracts.txt)
+ *   roster  every extBpId in the grower list (GrowerList2024.json)
+ *   db      every contract already in the database for a crop year
+ * filterContracts() narrows any of these by farm or state, and
+ * parseCropYears() reads the crop years to fetch them for.
+ */
+
+import fs from 'fs';
+
+export const CONTRACT_SOURCES = ['file', 'roster', 'db'];
+
+/**
+ * Parse a crop year list such as "2024", "2020-2024" or "2020-2022,2024"
+ * into a sorted list of unique years. Throws on malformed input.
+ */
+export function parseCropYears(value) {
+  const years = new Set();
+
+  for (const part of value.split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d{4})(?:\s*-\s*(\d{4}))?$/);
+    if (!match) throw new Error(part);
+
+    const start = Number(match[1]);
+    const end = match[2] ? Number(match[2]) : start;
+    if (end < start) throw new Error(`${part} (range ends before it starts)`);
+
+    for (let year = start; year <= end; year++) years.add(year);
+  }
+
+  return [...years].sort((a, b) => a - b);
+}
+
+/**
+ * Read contract numbers from a plain text file, one per line
+ */
+export function readContractFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Missing ${filePath}. Please create it first.`);
+  }
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+}
+
+/**
+ * Contract numbers (extBpId) in the grower roster
+ */
+export function rosterContractNumbers(roster) {
+  return [...roster.keys()].sort();
+}
+
+/**
+ * Contract numbers stored in the database for a crop year (latest crop year
+ * in the database when cropYear is null). Returns { cropYear, contractNumbers }.
+ */
+export async function dbContractNumbers(db, cropYear = null) {
+  let year = cropYear;
+  if (!year) {
+    const latest = await db.query('SELECT MAX(crop_year) AS crop_year FROM contracts');
+    year = latest.rows[0].crop_year;
+  }
+
+  const result = await db.query(
+    `SELECT DISTINCT contract_number
+     FROM contracts
+     WHERE crop_year = $1
+     ORDER BY contract_number`,
+    [year]
+  );
+
+  return { cropYear: year, contractNumbers: result.rows.map(row => row.contract_number) };
+}
+
+/**
+ * Keep only contracts belonging to a farm and/or with a farm address in a state.
+ *   farm   farm id (digits) or part of a farm name, matched against the grower
+ *          roster and the farms table
+ *   state  state code, matched against the farm's addresses in the database
+ * Contracts not yet in the database can only match a farm by roster name.
+ */
+export async function filterContracts(db, contractNumbers, { farm, state, roster }) {
+  if (!farm && !state) return contractNumbers;
+
+  let selected = new Set(contractNumbers);
+
+  if (farm) {
+    const matches = new Set();
+    const byId = /^\d+$/.test(farm);
+
+    if (!byId) {
+      const needle = farm.toLowerCase();
+      for (const contractNumber of selected) {
+        if (roster.get(contractNumber)?.name.toLowerCase().includes(needle)) {
+          matches.add(contractNumber);
+        }
+      }
+    }
+
+    const result = await db.query(
+      `SELECT DISTINCT c.contract_number
+       FROM contracts c
+       JOIN farms f ON c.farm_id = f.id
+       WHERE c.contract_number = ANY($1::text[])
+         AND ${byId ? 'f.id = $2' : 'f.name ILIKE $2'}`,
+      [[...selected], byId ? Number(farm) : `%${farm}%`]
+    );
+    result.rows.forEach(row => matches.add(row.contract_number));
+
+    selected = matches;
+  }
+
+  if (state) {
+    const result = await db.query(
+      `SELECT DISTINCT c.contract_number
+       FROM contracts c
+       JOIN farm_addresses fa ON fa.farm_id = c.farm_id
+       WHERE c.contract_number = ANY($1::text[])
+         AND UPPER(TRIM(fa.state)) = UPPER(TRIM($2))`,
+      [[...selected], state]
+    );
+    selected = new Set(result.rows.map(row => row.contract_number));
+  }
+
+  return contractNumbers.filter(contractNumber => selected.has(contractNumber));
+}
@@ -0,0 +1,120 @@
+/**
+ * Dry-Run Report
+ * --------------
+ * Summarises what npm start -- --dry-run would have changed: new vs updated
+ * contracts, beds added/changed/removed, shapes replaced or unrepairable
+ * and field-level diffs. Built from the per-contract results of
+ * fetchContracts.js, whose ingest transactions were rolled back.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_DRY_RUN_REPORT = './output/dry_run_report.json';
+
+/** Status of one contract in the report */
+function contractStatus(result) {
+  if (!result.api.success) return 'fetch failed';
+  if (result.db.unchanged) return 'unchanged';
+  if (!result.db.success) return 'failed';
+  return result.db.changes.contract;
+}
+
+/**
+ * Build the report object written to JSON
+ */
+export function buildDryRunReport(results, { runId, mode, missingBeds }) {
+  const contracts = results.map(result => {
+    const changes = result.db.changes;
+    return {
+      contractNumber: result.contractNumber,
+      cropYear: result.cropYear,
+      status: contractStatus(result),
+      error: result.api.success ? (result.db.error ?? null) : (result.api.error ?? null),
+      rejectedRecords: result.db.rejected ?? 0,
+      bedsAdded: changes?.bedsAdded ?? [],
+      bedsChanged: changes?.bedsChanged ?? [],
+      bedsRemoved: changes?.bedsRemoved ?? [],
+      bedBlocksRemoved: changes?.bedBlocksRemoved ?? [],
+      shapesReplaced: changes?.shapesReplaced ?? [],
+      invalidShapes: changes?.invalidShapes ?? []
+    };
+  });
+
+  const count = status => contracts.filter(c => c.status === status).length;
+  const sum = field => contracts.reduce((total, c) => total + c[field].length, 0);
+
+  return {
+    runId,
+    mode,
+    missingBeds,
+    generatedAt: new Date().toISOString(),
+    totals: {
+      contractsNew: count('new'),
+      contractsUpdated: count('updated'),
+      contractsUnchanged: count('unchanged'),
+      contractsFailed: count('failed') + count('fetch failed'),
+      bedsAdded: sum('bedsAdded'),
+      bedsChanged: sum('bedsChanged'),
+      bedsRemoved: sum('bedsRemoved'),
+      bedBlocksRemoved: sum('bedBlocksRemoved'),
+      shapesReplaced: sum('shapesReplaced'),
+      invalidShapes: sum('invalidShapes'),
+      fieldChanges: contracts.reduce((total, c) =>
+        total + c.bedsChanged.reduce((n, bed) => n + bed.changes.length, 0), 0)
+    },
+    contracts
+  };
+}
+
+/**
+ * Print the report as a readable console section
+ */
+export function printDryRunReport(report) {
+  const { totals } = report;
+  const removedVerb = { delete: 'deleted', retire: 'retired' }[report.missingBeds] || 'removed';
+
+  console.log('\n🧪 DRY RUN REPORT (nothing was committed):');
+  console.log(`   Contracts: ${totals.contractsNew} new, ${totals.contractsUpdated} updated, ${totals.contractsUnchanged} unchanged, ${totals.contractsFailed} failed`);
+  console.log(`   Beds: ${totals.bedsAdded} added, ${totals.bedsChanged} changed (${totals.fieldChanges} field(s)), ${totals.bedsRemoved} ${removedVerb}`);
+  console.log(`   Shapes replaced on ${totals.shapesReplaced} bed(s); ${totals.invalidShapes} shape(s) without geometry; ${totals.bedBlocksRemoved} bed block(s) ${removedVerb}`);
+
+  for (const contract of report.contracts) {
+    const hasChanges = contract.bedsAdded.length + contract.bedsChanged.length + contract.bedsRemoved.length +
+      contract.bedBlocksRemoved.length + contract.shapesReplaced.length + contract.invalidShapes.length > 0;
+    if (contract.status !== 'new' && !hasChanges) continue;
+
+    console.log(`\n   ${contract.contractNumber} (${contract.cropYear}) - ${contract.status} contract`);
+    if (contract.bedsAdded.length > 0) {
+      console.log(`     + ${contract.bedsAdded.length} bed(s) added: ${contract.bedsAdded.map(b => `${b.bedName} [${b.bedHistoryId}]`).join(', ')}`);
+    }
+    for (const bed of contract.bedsChanged) {
+      console.log(`     ~ ${bed.bedName} [${bed.bedHistoryId}]`);
+      for (const change of bed.changes) {
+        console.log(`         ${change.field}: ${change.oldValue ?? '(null)'} → ${change.newValue ?? '(null)'}`);
+      }
+    }
+    if (contract.bedsRemoved.length > 0) {
+      console.log(`     - ${contract.bedsRemoved.length} bed(s) ${removedVerb}: ${contract.bedsRemoved.join(', ')}`);
+    }
+    if (contract.bedBlocksRemoved.length > 0) {
+      console.log(`     - ${contract.bedBlocksRemoved.length} block(s) ${removedVerb}: ${contract.bedBlocksRemoved.join(', ')}`);
+    }
+    for (const shape of contract.shapesReplaced) {
+      console.log(`     ◇ ${shape.bedName} [${shape.bedHistoryId}] shapes replaced (${shape.before} → ${shape.after})`);
+    }
+    for (const shape of contract.invalidShapes) {
+      console.log(`     ⚠ ${shape.bedName} [${shape.bedHistoryId}] shape #${shape.shapeIndex + 1} has no geometry: ${shape.problems.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Write the report as JSON, creating the directory if needed
+ */
+export function writeDryRunReport(report, filePath = DEFAULT_DRY_RUN_REPORT) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+  return filePath;
+}
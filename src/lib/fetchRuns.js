@@ -0,0 +1,80 @@
+/**
+ * Fetch Run Results
+ * -----------------
+ * Reads the per-contract outcomes npm start records for each run, from the
+ * fetch_runs table or the JSON-lines run log (logs/fetch_runs.jsonl).
+ * Entries use the run log's field names (contractNumber, apiSuccess, ...).
+ * Both readers return { runId, mode, entries }; mode is the run's 'api' or
+ * 'offline' (null for an empty run).
+ */
+
+import fs from 'fs';
+
+/**
+ * Load run entries for one run from the JSON-lines log (latest run by default)
+ */
+export function readRunLog(logFile, runId) {
+  if (!fs.existsSync(logFile)) {
+    throw new Error(`Run log not found: ${logFile}`);
+  }
+
+  const entries = fs.readFileSync(logFile, 'utf8')
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(line => JSON.parse(line));
+
+  const selectedRun = runId || entries[entries.length - 1]?.runId;
+  const runEntries = entries.filter(e => e.runId === selectedRun);
+  return {
+    runId: selectedRun,
+    mode: runEntries[0]?.mode ?? null,
+    entries: runEntries
+  };
+}
+
+/**
+ * Load run entries for one run from the fetch_runs table (latest run by default).
+ * `db` is a connected pg Client or Pool.
+ */
+export async function readFetchRuns(db, runId) {
+  let selectedRun = runId;
+  if (!selectedRun) {
+    const latest = await db.query(
+      'SELECT run_id FROM fetch_runs ORDER BY created_at DESC, id DESC LIMIT 1'
+    );
+    selectedRun = latest.rows[0]?.run_id;
+  }
+
+  const result = await db.query(
+    `SELECT contract_number, crop_year, http_status, record_count,
+            api_success, db_success, error, mode
+     FROM fetch_runs
+     WHERE run_id = $1
+     ORDER BY contract_number, crop_year`,
+    [selectedRun]
+  );
+
+  return {
+    runId: selectedRun,
+    mode: result.rows[0]?.mode ?? null,
+    entries: result.rows.map(row => ({
+      contractNumber: row.contract_number,
+      cropYear: row.crop_year,
+      httpStatus: row.http_status,
+      recordCount: row.record_count,
+      apiSuccess: row.api_success,
+      dbSuccess: row.db_success,
+      error: row.error
+    }))
+  };
+}
+
+/**
+ * Reason a run entry counts as failed, or null if it succeeded
+ */
+export function failureReason(entry) {
+  if (!entry.apiSuccess) return 'API failed';
+  if (entry.recordCount === 0) return '0 bed records';
+  if (!entry.dbSuccess) return 'DB insert failed';
+  return null;
+}
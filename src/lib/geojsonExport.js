@@ -0,0 +1,105 @@
+/**
+ * Bed Export Options
+ * ------------------
+ * Options shared by the bed GeoJSON exporters to shrink their files:
+ *   --simplify <meters>   ST_SimplifyPreserveTopology tolerance; rings keep
+ *                         enough points to stay valid polygons
+ *   --precision <digits>  decimal places kept per coordinate (6 is ~0.1 m)
+ *   --compact             write JSON without indentation
+ * Without options the export is unchanged (pretty-printed, PostGIS default of
+ * 9 decimals, every vertex), which is what the size report compares against.
+ */
+
+export const EXPORT_OPTIONS = {
+  simplify: { type: 'string' },
+  precision: { type: 'string' },
+  compact: { type: 'boolean', default: false },
+};
+
+export const EXPORT_USAGE = '--simplify <meters> --precision <decimals> --compact';
+
+// PostGIS ST_AsGeoJSON default
+const DEFAULT_PRECISION = 9;
+
+// Tolerances are given in meters but bed geometry is in degrees; one degree
+// of latitude is ~111,320 m (a degree of longitude is shorter, so this errs
+// towards keeping detail)
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Validate the parsed EXPORT_OPTIONS values.
+ * Returns { simplify, precision, compact, changesGeometry }; throws on bad input.
+ */
+export function readExportOptions(values) {
+  const simplify = values.simplify === undefined ? null : Number(values.simplify);
+  if (simplify !== null && (!Number.isFinite(simplify) || simplify <= 0)) {
+    throw new Error(`--simplify must be a positive tolerance in meters, got "${values.simplify}"`);
+  }
+
+  const precision = values.precision === undefined ? DEFAULT_PRECISION : Number(values.precision);
+  if (!Number.isInteger(precision) || precision < 0 || precision > 15) {
+    throw new Error(`--precision must be a whole number of decimals from 0 to 15, got "${values.precision}"`);
+  }
+
+  return {
+    simplify,
+    precision,
+    compact: values.compact,
+    changesGeometry: simplify !== null || precision !== DEFAULT_PRECISION
+  };
+}
+
+/** Geometry expression after simplification (unchanged without --simplify) */
+function simplified(geom, options) {
+  return options.simplify === null
+    ? geom
+    : `ST_SimplifyPreserveTopology(${geom}, ${options.simplify / METERS_PER_DEGREE})`;
+}
+
+/**
+ * SQL for the GeoJSON text of a bed_geometries MultiPolygon, unwrapped to a
+ * Polygon for single-shape beds and wound counterclockwise (RFC 7946)
+ */
+export function bedGeometrySQL(geom, shapeCount, options = { simplify: null, precision: DEFAULT_PRECISION }) {
+  const shape = simplified(geom, options);
+  return `ST_AsGeoJSON(ST_ForcePolygonCCW(CASE WHEN ${shapeCount} = 1 THEN ST_GeometryN(${shape}, 1) ELSE ${shape} END), ${options.precision})`;
+}
+
+/** SQL for the vertex count of a bed geometry after simplification */
+export function vertexCountSQL(geom, options) {
+  return `ST_NPoints(${simplified(geom, options)})`;
+}
+
+/**
+ * Serialize a FeatureCollection with the export options and measure it
+ * against the default export. `defaultGeometries` holds each feature's
+ * geometry as the default export would write it (only needed when
+ * options.changesGeometry).
+ * Returns { text, bytes, defaultBytes }
+ */
+export function serializeGeoJSON(geojson, defaultGeometries, options) {
+  const text = options.compact ? JSON.stringify(geojson) : JSON.stringify(geojson, null, 2);
+
+  let defaultBytes = Buffer.byteLength(text, 'utf8');
+  if (options.changesGeometry || options.compact) {
+    const defaultExport = options.changesGeometry
+      ? { ...geojson, features: geojson.features.map((feature, i) => ({ ...feature, geometry: defaultGeometries[i] })) }
+      : geojson;
+    defaultBytes = Buffer.byteLength(JSON.stringify(defaultExport, null, 2), 'utf8');
+  }
+
+  return { text, bytes: Buffer.byteLength(text, 'utf8'), defaultBytes };
+}
+
+/** Human-readable file size */
+export function formatSize(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(2)} MB`
+    : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/** "1.20 MB → 310.4 KB (-74%)" */
+export function formatSizeChange(before, after) {
+  const change = before > 0 ? ((after - before) / before) * 100 : 0;
+  return `${formatSize(before)} → ${formatSize(after)} (${change > 0 ? '+' : ''}${change.toFixed(0)}%)`;
+}
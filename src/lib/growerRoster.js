@@ -0,0 +1,75 @@
+/**
+ * Grower Roster Helpers
+ * ---------------------
+ * Loads the Ocean Spray grower list (GrowerList2024.json) and derives the
+ * grower key used to recognise the same farm across contracts:
+ *   bp:<bpId>         the grower's business partner id, when the list has one
+ *                     (stable: one grower, one key)
+ *   <normalised name> otherwise; a heuristic, since two growers can share a
+ *                     name, so it is not unique in farms.grower_key
+ * extBpId is the contract number, not a grower id, so it cannot be the key.
+ */
+
+import fs from 'fs';
+
+export const DEFAULT_GROWER_LIST = './input/GrowerList2024.json';
+
+/**
+ * Normalise a grower/business partner name into a grower key.
+ * "Smith Cranberry Co., Inc." and "SMITH CRANBERRY CO INC" give the same key.
+ */
+export function growerKeyForName(name) {
+  if (!name) return null;
+  const key = name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  return key || null;
+}
+
+/** True for keys built from a business partner id rather than a name */
+export function isStableGrowerKey(key) {
+  return typeof key === 'string' && key.startsWith('bp:');
+}
+
+/**
+ * Build a comparable key for an address, or null if there is no street.
+ * Accepts either API (Street1/City/...) or database (street/city/...) fields.
+ */
+export function addressKey(address) {
+  if (!address) return null;
+  const street = address.Street1 ?? address.street;
+  if (!street || !street.trim()) return null;
+
+  return [street, address.City ?? address.city, address.State ?? address.state, address.PostalCode ?? address.postal_code]
+    .map(part => (part || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim())
+    .join('|');
+}
+
+/**
+ * Load the grower list as a Map of contract number → { name, growerKey }.
+ * growerKey is bp:<bpId> when the record has a bpId, else the name key.
+ * extBpId is the contract number field in the JSON.
+ * Returns an empty Map when the file does not exist.
+ */
+export function loadGrowerRoster(filePath = DEFAULT_GROWER_LIST) {
+  const roster = new Map();
+  if (!fs.existsSync(filePath)) {
+    return roster;
+  }
+
+  const growerList = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  for (const grower of growerList) {
+    if (grower.extBpId && grower.bpName) {
+      roster.set(grower.extBpId, {
+        name: grower.bpName,
+        growerKey: grower.bpId != null && String(grower.bpId).trim() !== ''
+          ? `bp:${String(grower.bpId).trim()}`
+          : growerKeyForName(grower.bpName)
+      });
+    }
+  }
+
+  return roster;
+}
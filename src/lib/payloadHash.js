@@ -0,0 +1,24 @@
+/**
+ * Contract Payload Hash
+ * ---------------------
+ * Content hash of a /bog/{contractNumber} response, stored on contracts and
+ * raw_payloads so an unchanged payload can skip its database writes.
+ */
+
+import crypto from 'crypto';
+
+/** JSON with object keys sorted, so key order in the API response does not change the hash */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/** SHA-256 content hash of a contract payload */
+export function hashPayload(data) {
+  return crypto.createHash('sha256').update(canonicalJson(data)).digest('hex');
+}
@@ -0,0 +1,332 @@
+/**
+ * Bed Shape Geometry
+ * ------------------
+ * Converts shape values (PostgreSQL polygon text as sent by the API, with
+ * extra nesting for polygons with holes) into GeoJSON. Ingest stores the result in the shapes.geom PostGIS column
+ * (EPSG:4326), which exporters and views read instead of the text.
+ *
+ * inspectShape() validates a shape before it becomes geometry. It repairs
+ * what it safely can:
+ *   unclosed_ring          a ring without its closing point, in a shape
+ *                          whose other rings repeat theirs, is closed (rings
+ *                          of PostgreSQL polygon text are implicitly closed
+ *                          and need no repair)
+ *   duplicate_vertices     repeated consecutive points are dropped
+ *   swapped_coordinates    lat/lon given in the wrong order: out of range,
+ *                          outside the growing region but inside it once
+ *                          swapped, or far from the reference point (farm
+ *                          address, else the contract's other shapes) but
+ *                          close once swapped
+ * and rejects what it cannot (no geometry is stored for these):
+ *   unparseable, too_few_points, out_of_range, zero_area, self_intersection,
+ *   hole_outside_exterior (a hole not strictly inside the exterior ring)
+ * Rings are wound per RFC 7946 (exterior counterclockwise, holes clockwise).
+ *
+ * The growing region is a lon/lat bounding box, North America by default
+ * (SHAPE_REGION_BBOX="minLon,minLat,maxLon,maxLat" to change it). Swapped
+ * North American coordinates are still in range (44,-89 is a point in the
+ * ocean), so the region is what catches a contract whose every shape is
+ * swapped.
+ */
+
+export const SHAPE_REPAIRS = ['unclosed_ring', 'duplicate_vertices', 'swapped_coordinates'];
+export const SHAPE_PROBLEMS = ['unparseable', 'too_few_points', 'out_of_range', 'zero_area', 'self_intersection', 'hole_outside_exterior'];
+
+// North America: Wisconsin, Massachusetts, New Jersey, the Pacific Northwest
+// and the Canadian growing areas
+export const DEFAULT_SHAPE_REGION = [-170, 15, -50, 75];
+
+// A shape this far (degrees) from the reference point is checked for
+// swapped coordinates
+const SWAP_DISTANCE = 1;
+
+/**
+ * Growing region [minLon, minLat, maxLon, maxLat] from SHAPE_REGION_BBOX, or
+ * DEFAULT_SHAPE_REGION when unset. Throws on a malformed value.
+ */
+export function shapeRegion(value = process.env.SHAPE_REGION_BBOX) {
+  if (value === undefined || value.trim() === '') return DEFAULT_SHAPE_REGION;
+
+  const bbox = value.split(',').map(part => Number(part.trim()));
+  if (bbox.length !== 4 || bbox.some(n => !Number.isFinite(n)) ||
+      !inRange([bbox[0], bbox[1]]) || !inRange([bbox[2], bbox[3]]) ||
+      bbox[0] >= bbox[2] || bbox[1] >= bbox[3]) {
+    throw new Error(`SHAPE_REGION_BBOX must be "minLon,minLat,maxLon,maxLat" in degrees, got "${value}"`);
+  }
+  return bbox;
+}
+
+/** Parse one ring "((x,y),(x,y),...)" into [[x, y], ...], or null */
+function parseRing(ringString) {
+  if (!/^\(\(.*\)\)$/.test(ringString)) return null;
+
+  const pairs = ringString.replace(/^\(\(/, '').replace(/\)\)$/, '').split('),(');
+  const ring = pairs.map(pair => pair.split(','));
+  if (ring.some(parts => parts.length !== 2 || parts.some(part => part.trim() === ''))) return null;
+
+  const coordinates = ring.map(parts => parts.map(Number));
+  return coordinates.some(point => point.some(n => !Number.isFinite(n))) ? null : coordinates;
+}
+
+/**
+ * Parse PostgreSQL polygon format to GeoJSON polygon coordinates.
+ * A single ring is PostgreSQL polygon text; a polygon with holes wraps each
+ * ring in one more pair of parentheses, exterior first:
+ *   "((-89.64,44.30),(-89.63,44.30),...)"
+ *   "(((-89.64,44.30),...),((-89.635,44.301),...))"
+ * Output: [[[-89.64, 44.30], [-89.63, 44.30], ...], ...holes]
+ * Returns null if the value cannot be parsed.
+ */
+export function parsePolygon(polygonString) {
+  if (typeof polygonString !== 'string') return null;
+  const value = polygonString.replace(/\s+/g, '');
+
+  // GeoJSON polygons need an array of rings (first is outer, rest are holes)
+  const ringStrings = value.startsWith('(((') && value.endsWith(')))')
+    ? value.slice(1, -1).split(')),((').map((ring, i, all) =>
+      `${i === 0 ? '' : '(('}${ring}${i === all.length - 1 ? '' : '))'}`)
+    : [value];
+
+  const rings = ringStrings.map(parseRing);
+  return rings.some(ring => ring === null) ? null : rings;
+}
+
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+function inRange([lon, lat]) {
+  return Math.abs(lon) <= 180 && Math.abs(lat) <= 90;
+}
+
+function inRegion([lon, lat], [minLon, minLat, maxLon, maxLat]) {
+  return lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat;
+}
+
+function swapPoint([x, y]) {
+  return [y, x];
+}
+
+/**
+ * True/false when the region alone says whether the points are swapped
+ * (inside it one way round but not the other), else null
+ */
+function swappedByRegion(points, region) {
+  if (!region) return null;
+  const inside = points.every(point => inRegion(point, region));
+  const swappedInside = points.every(point => inRegion(swapPoint(point), region));
+  return inside === swappedInside ? null : swappedInside;
+}
+
+/** Mean of a polygon's exterior ring vertices */
+function centroid(rings) {
+  const ring = rings[0];
+  const sum = ring.reduce((acc, [lon, lat]) => [acc[0] + lon, acc[1] + lat], [0, 0]);
+  return [sum[0] / ring.length, sum[1] / ring.length];
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Reference point [lon, lat] for swap detection, passed to inspectShape():
+ * the farm's geocoded address when known (`location`, e.g. from
+ * farm_addresses), else the median centre of a contract's shapes, each taken
+ * the way round the region puts it. Null if there is neither.
+ */
+export function shapeReference(shapeValues, { location = null, region = DEFAULT_SHAPE_REGION } = {}) {
+  if (location && location.every(Number.isFinite) && inRange(location)) return location;
+
+  const centres = shapeValues
+    .map(parsePolygon)
+    .filter(Boolean)
+    .map(centroid)
+    .filter(inRange)
+    .map(centre => swappedByRegion([centre], region) ? swapPoint(centre) : centre);
+  if (centres.length === 0) return null;
+  return [median(centres.map(c => c[0])), median(centres.map(c => c[1]))];
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+/** True if the polygon looks like it was given as lat,lon */
+function isSwapped(rings, reference, region) {
+  const points = rings.flat();
+  const swapped = points.map(swapPoint);
+
+  if (!points.every(inRange)) return swapped.every(inRange);
+
+  const byRegion = swappedByRegion(points, region);
+  if (byRegion !== null) return byRegion;
+  if (!reference) return false;
+
+  return distance(centroid(rings), reference) > SWAP_DISTANCE &&
+    distance(centroid([swapped]), reference) <= SWAP_DISTANCE;
+}
+
+/** Signed area of an open ring (positive when counterclockwise) */
+function signedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+}
+
+function orientation(p, q, r) {
+  const value = (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+  return Math.sign(value);
+}
+
+function onSegment(p, q, r) {
+  return Math.min(p[0], r[0]) <= q[0] && q[0] <= Math.max(p[0], r[0]) &&
+    Math.min(p[1], r[1]) <= q[1] && q[1] <= Math.max(p[1], r[1]);
+}
+
+function segmentsIntersect(p1, p2, q1, q2) {
+  const o1 = orientation(p1, p2, q1);
+  const o2 = orientation(p1, p2, q2);
+  const o3 = orientation(q1, q2, p1);
+  const o4 = orientation(q1, q2, p2);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && onSegment(p1, q1, p2)) || (o2 === 0 && onSegment(p1, q2, p2)) ||
+    (o3 === 0 && onSegment(q1, p1, q2)) || (o4 === 0 && onSegment(q1, p2, q2));
+}
+
+/** True if any two non-adjacent edges of an open ring touch or cross */
+function selfIntersects(ring) {
+  const n = ring.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue; // first and last edges share a vertex
+      if (segmentsIntersect(ring[i], ring[(i + 1) % n], ring[j], ring[(j + 1) % n])) return true;
+    }
+  }
+  return false;
+}
+
+/** Ray-casting test for a point strictly inside an open ring */
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/** True if any edge of one open ring touches or crosses an edge of the other */
+function ringsIntersect(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) {
+      if (segmentsIntersect(a[i], a[(i + 1) % a.length], b[j], b[(j + 1) % b.length])) return true;
+    }
+  }
+  return false;
+}
+
+/** A hole must lie inside the exterior ring without touching it */
+function holeInside(hole, exterior) {
+  return hole.every(point => pointInRing(point, exterior)) && !ringsIntersect(hole, exterior);
+}
+
+/** Whether a ring repeats its first point at the end */
+function isClosed(points) {
+  return points.length > 1 && samePoint(points[0], points[points.length - 1]);
+}
+
+/**
+ * Validate and repair one ring. Returns { ring, repairs, problems } with the
+ * ring open (no closing point) and not yet oriented.
+ */
+function repairRing(points) {
+  const repairs = [];
+  const problems = [];
+
+  let ring = isClosed(points) ? points.slice(0, -1) : [...points];
+
+  const deduped = ring.filter((point, i) => i === 0 || !samePoint(point, ring[i - 1]));
+  while (deduped.length > 1 && samePoint(deduped[0], deduped[deduped.length - 1])) deduped.pop();
+  if (deduped.length < ring.length) repairs.push('duplicate_vertices');
+  ring = deduped;
+
+  if (ring.length < 3) {
+    problems.push('too_few_points');
+  } else if (!ring.every(inRange)) {
+    problems.push('out_of_range');
+  } else if (selfIntersects(ring)) {
+    problems.push('self_intersection');
+  } else if (signedArea(ring) === 0) {
+    problems.push('zero_area');
+  }
+
+  return { ring, repairs, problems };
+}
+
+/**
+ * Validate and repair a shape value.
+ * `reference` is the contract's shapeReference() and `region` the growing
+ * region (shapeRegion()), both used to spot swapped lat/lon.
+ * Returns {
+ *   coordinates,  // GeoJSON polygon coordinates (closed, RFC 7946 winding), or null
+ *   repairs,      // SHAPE_REPAIRS codes applied
+ *   problems      // SHAPE_PROBLEMS codes; coordinates is null when non-empty
+ * }
+ */
+export function inspectShape(polygonString, { reference = null, region = DEFAULT_SHAPE_REGION } = {}) {
+  let rings = parsePolygon(polygonString);
+  if (!rings) return { coordinates: null, repairs: [], problems: ['unparseable'] };
+
+  const repairs = [];
+  const problems = [];
+
+  // PostgreSQL polygon text is implicitly closed, so open rings are normal.
+  // A shape that repeats the closing point of some rings but not others is
+  // in closed-ring notation with a point missing.
+  if (rings.some(isClosed) && !rings.every(isClosed)) repairs.push('unclosed_ring');
+
+  if (isSwapped(rings, reference, region)) {
+    rings = rings.map(ring => ring.map(swapPoint));
+    repairs.push('swapped_coordinates');
+  }
+
+  const repairedRings = rings.map(points => {
+    const result = repairRing(points);
+    result.repairs.forEach(code => { if (!repairs.includes(code)) repairs.push(code); });
+    result.problems.forEach(code => { if (!problems.includes(code)) problems.push(code); });
+    return result.ring;
+  });
+
+  const [exterior, ...holes] = repairedRings;
+  if (problems.length === 0 && holes.some(hole => !holeInside(hole, exterior))) {
+    problems.push('hole_outside_exterior');
+  }
+
+  // RFC 7946: exterior rings counterclockwise, holes clockwise
+  const coordinates = repairedRings.map((ring, i) => {
+    const counterclockwise = signedArea(ring) > 0;
+    const oriented = counterclockwise === (i === 0) ? ring : [...ring].reverse();
+    return [...oriented, oriented[0]];
+  });
+
+  return { coordinates: problems.length > 0 ? null : coordinates, repairs, problems };
+}
+
+/**
+ * GeoJSON text for one stored shape after inspectShape(), as written to the
+ * PostGIS geom column (ST_GeomFromGeoJSON). Returns null if the shape cannot
+ * be repaired.
+ */
+export function shapeGeoJSON(polygonString, options = {}) {
+  const { coordinates } = inspectShape(polygonString, options);
+  return coordinates ? JSON.stringify({ type: 'Polygon', coordinates }) : null;
+}
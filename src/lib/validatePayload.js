@@ -0,0 +1,176 @@
+/**
+ * Contract Payload Validation
+ * ---------------------------
+ * Checks a /bog/{contractNumber} response before it is inserted, so one
+ * malformed bed record can be quarantined instead of rolling back the
+ * whole contract.
+ */
+
+import { parsePolygon } from './polygon.js';
+
+const ADDRESS_FIELDS = ['Street1', 'Street2', 'City', 'State', 'PostalCode', 'Country'];
+const FRUIT_TYPE_FIELDS = ['Export', 'GlobalGap', 'Organic', 'Processed', 'White'];
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * True for PostgreSQL polygon text: "((-89.64,44.30),(-89.63,44.30),...)"
+ * with at least three numeric coordinate pairs, or a polygon with holes
+ * "(((...)),((...)))" whose rings each have three or more
+ */
+export function isPolygonValue(value) {
+  const rings = parsePolygon(value);
+  return rings !== null && rings.every(ring => ring.length >= 3);
+}
+
+/**
+ * Validate a single bed record, returning a list of "Field: problem" strings
+ */
+export function validateBedRecord(record, contract) {
+  const errors = [];
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return [`record: expected object, got ${describe(record)}`];
+  }
+
+  if (!Number.isInteger(record.ContractId)) {
+    errors.push(`ContractId: expected integer, got ${describe(record.ContractId)}`);
+  } else if (contract && record.ContractId !== contract.ContractId) {
+    errors.push(`ContractId: ${record.ContractId} differs from contract ${contract.ContractId}`);
+  }
+
+  if (!isNonEmptyString(record.ContractNumber)) {
+    errors.push(`ContractNumber: expected non-empty string, got ${describe(record.ContractNumber)}`);
+  } else if (contract && record.ContractNumber !== contract.ContractNumber) {
+    errors.push(`ContractNumber: ${record.ContractNumber} differs from contract ${contract.ContractNumber}`);
+  }
+
+  if (!Number.isInteger(record.BedHistoryId)) {
+    errors.push(`BedHistoryId: expected integer, got ${describe(record.BedHistoryId)}`);
+  }
+
+  if (!isNonEmptyString(record.BogName)) {
+    errors.push(`BogName: expected non-empty string, got ${describe(record.BogName)}`);
+  }
+
+  if (!isNonEmptyString(record.HandlerSectionName)) {
+    errors.push(`HandlerSectionName: expected non-empty string, got ${describe(record.HandlerSectionName)}`);
+  }
+
+  if (record.Acres != null && !Number.isFinite(record.Acres)) {
+    errors.push(`Acres: expected number, got ${describe(record.Acres)}`);
+  }
+
+  if (record.Variety != null && typeof record.Variety !== 'string') {
+    errors.push(`Variety: expected string, got ${describe(record.Variety)}`);
+  }
+
+  if (record.PlantDate != null &&
+      (typeof record.PlantDate !== 'string' || Number.isNaN(Date.parse(record.PlantDate)))) {
+    errors.push(`PlantDate: expected date string, got ${JSON.stringify(record.PlantDate)}`);
+  }
+
+  if (!record.Address || typeof record.Address !== 'object' || Array.isArray(record.Address)) {
+    errors.push(`Address: expected object, got ${describe(record.Address)}`);
+  } else {
+    for (const field of ADDRESS_FIELDS) {
+      const value = record.Address[field];
+      if (value != null && typeof value !== 'string') {
+        errors.push(`Address.${field}: expected string, got ${describe(value)}`);
+      }
+    }
+  }
+
+  if (!record.FruitType || typeof record.FruitType !== 'object' || Array.isArray(record.FruitType)) {
+    errors.push(`FruitType: expected object, got ${describe(record.FruitType)}`);
+  } else {
+    for (const field of FRUIT_TYPE_FIELDS) {
+      const value = record.FruitType[field];
+      if (value != null && typeof value !== 'boolean') {
+        errors.push(`FruitType.${field}: expected boolean, got ${describe(value)}`);
+      }
+    }
+  }
+
+  if (record.Shape != null) {
+    if (!Array.isArray(record.Shape)) {
+      errors.push(`Shape: expected array, got ${describe(record.Shape)}`);
+    } else {
+      record.Shape.forEach((shape, i) => {
+        if (!shape || typeof shape !== 'object') {
+          errors.push(`Shape[${i}]: expected object, got ${describe(shape)}`);
+          return;
+        }
+        if (!isNonEmptyString(shape.type)) {
+          errors.push(`Shape[${i}].type: expected non-empty string, got ${describe(shape.type)}`);
+        }
+        if (!isPolygonValue(shape.value)) {
+          errors.push(`Shape[${i}].value: not a polygon "((x,y),(x,y),...)" with 3+ points per ring`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a whole contract payload.
+ * Returns {
+ *   error,          // payload-level problem (nothing can be inserted), or null
+ *   valid,          // records safe to insert
+ *   rejected,       // [{ index, bedHistoryId, errors, record }]
+ *   bedHistoryIds,  // every well-formed BedHistoryId in the payload
+ *   blockNames      // every well-formed BogName in the payload
+ * }
+ * Rejected records still count as present, so reconciliation does not
+ * retire a bed just because this response carried a malformed copy of it.
+ */
+export function validateContractPayload(data) {
+  const result = { error: null, valid: [], rejected: [], bedHistoryIds: [], blockNames: [] };
+
+  if (!Array.isArray(data)) {
+    result.error = `Expected an array of bed records, got ${describe(data)}`;
+    return result;
+  }
+
+  // Contract identity comes from the first record that has one
+  const contract = data.find(r => r && Number.isInteger(r.ContractId) && isNonEmptyString(r.ContractNumber)) || null;
+  if (data.length > 0 && !contract) {
+    result.error = 'No record has a valid ContractId and ContractNumber';
+    return result;
+  }
+
+  const seenBedIds = new Set();
+  data.forEach((record, index) => {
+    const errors = validateBedRecord(record, contract);
+
+    if (record && Number.isInteger(record.BedHistoryId)) {
+      if (seenBedIds.has(record.BedHistoryId)) {
+        errors.push(`BedHistoryId: duplicate ${record.BedHistoryId} in payload`);
+      }
+      seenBedIds.add(record.BedHistoryId);
+    }
+    if (record && isNonEmptyString(record.BogName)) {
+      result.blockNames.push(record.BogName);
+    }
+
+    if (errors.length > 0) {
+      result.rejected.push({ index, bedHistoryId: record?.BedHistoryId ?? null, errors, record });
+    } else {
+      result.valid.push(record);
+    }
+  });
+
+  result.bedHistoryIds = [...seenBedIds];
+  result.blockNames = [...new Set(result.blockNames)];
+  return result;
+}
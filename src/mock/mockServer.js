@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Local Mock Ocean Spray Grower API
+ * ---------------------------------
+ * Serves GET /v1/bog/{contractNumber}?token=...&cropYear=... from fixture
+ * JSON so the whole fetch-and-insert path can run without the production API.
+ *
+ * Fixture lookup (first match wins):
+ *   {fixturesDir}/{cropYear}/{contractNumber}.json
+ *   {fixturesDir}/{contractNumber}.json
+ *   otherwise 404 { "message": "Contract not found" }
+ *
+ * Fixture formats:
+ *   [ ...bed records ]                          → 200 with the array
+ *   { "status": 404, "body": {...} }            → that status and body
+ *   { "responses": [ {status, body}, ... ] }    → served in order, last one
+ *                                                 repeats (e.g. 503, 503, 200
+ *                                                 to exercise retries)
+ * Any response may add "headers" (e.g. Retry-After) and "delayMs".
+ *
+ * Set MOCK_API_TOKEN to reject requests with a different token (401).
+ *
+ * Usage:
+ *   npm run mock-api [-- --port 4010 --fixtures ./src/mock/fixtures]
+ *   npm start -- --api-url http://localhost:4010/v1 --token test \
+ *     --contracts-file ./src/mock/fixtures/contracts.txt --year 2025
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Load the fixture for a contract/year, or null if there is none
+ */
+function loadFixture(fixturesDir, contractNumber, cropYear) {
+  const candidates = [
+    cropYear ? path.join(fixturesDir, String(cropYear), `${contractNumber}.json`) : null,
+    path.join(fixturesDir, `${contractNumber}.json`)
+  ].filter(Boolean);
+
+  const file = candidates.find(candidate => fs.existsSync(candidate));
+  return file ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Turn a fixture into the response for the nth request (0-based)
+ */
+function responseFor(fixture, requestIndex) {
+  if (Array.isArray(fixture)) {
+    return { status: 200, body: fixture };
+  }
+  if (Array.isArray(fixture.responses)) {
+    const responses = fixture.responses;
+    return responses[Math.min(requestIndex, responses.length - 1)];
+  }
+  return { status: fixture.status ?? 200, body: fixture.body, headers: fixture.headers, delayMs: fixture.delayMs };
+}
+
+/**
+ * Create (but do not start) the mock API server.
+ * requestCounts tracks requests per contract/year for sequenced fixtures.
+ */
+export function createMockServer({ fixturesDir = DEFAULT_FIXTURES_DIR, token = process.env.MOCK_API_TOKEN, log = console.log } = {}) {
+  const requestCounts = new Map();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/v1\/bog\/([^/]+)$/);
+
+    const send = ({ status, body, headers = {}, delayMs = 0 }) => {
+      setTimeout(() => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(body === undefined ? '' : JSON.stringify(body));
+        log(`${req.method} ${url.pathname}${url.search} → ${status}`);
+      }, delayMs);
+    };
+
+    if (req.method !== 'GET' || !match) {
+      return send({ status: 404, body: { message: 'Not found' } });
+    }
+
+    if (token && url.searchParams.get('token') !== token) {
+      return send({ status: 401, body: { message: 'Invalid token' } });
+    }
+
+    const contractNumber = decodeURIComponent(match[1]);
+    const cropYear = url.searchParams.get('cropYear');
+    const fixture = loadFixture(fixturesDir, contractNumber, cropYear);
+
+    if (!fixture) {
+      return send({ status: 404, body: { message: 'Contract not found' } });
+    }
+
+    const key = `${contractNumber}|${cropYear}`;
+    const requestIndex = requestCounts.get(key) || 0;
+    requestCounts.set(key, requestIndex + 1);
+
+    send(responseFor(fixture, requestIndex));
+  });
+
+  return server;
+}
+
+// Run as a standalone server when invoked directly
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: String(DEFAULT_PORT) },
+      fixtures: { type: 'string', default: DEFAULT_FIXTURES_DIR },
+    },
+  });
+
+  const server = createMockServer({ fixturesDir: values.fixtures });
+  server.listen(Number(values.port), () => {
+    console.log('🧪 Mock Ocean Spray Grower API');
+    console.log(`   Base URL: http://localhost:${values.port}/v1`);
+    console.log(`   Fixtures: ${path.resolve(values.fixtures)}`);
+    console.log('   Press Ctrl-C to stop\n');
+  });
+}
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Fetch Contracts Smoke Test
+ * --------------------------
+ * Starts the mock API on a free port, runs fetchContracts.js --dry-run
+ * against every fixture in src/mock/fixtures/contracts.txt and checks the
+ * dry-run report: which contracts ingest, which fail and why, and how many
+ * beds, quarantined records and repaired or unrepairable shapes each one
+ * produces.
+ *
+ * Needs the database from .env (DB_HOST, DB_NAME, ...) with the schema
+ * loaded (npm run sql) and none of the fixture contracts ingested, e.g. a
+ * scratch database. Every ingest is rolled back, so nothing is written to it;
+ * the report, data and quarantine files go to a temporary directory. The test
+ * is skipped when the database cannot be reached.
+ *
+ * Usage:
+ *   npm run test:fetch
+ */
+
+import assert from 'assert';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { createMockServer } from './mockServer.js';
+
+// Load environment variables
+dotenv.config();
+
+const MOCK_DIR = path.dirname(fileURLToPath(import.meta.url));
+const FETCH_SCRIPT = path.join(MOCK_DIR, '..', 'commands', 'fetchContracts.js');
+const FIXTURES_DIR = path.join(MOCK_DIR, 'fixtures');
+const CROP_YEAR = 2025;
+const RUN_TIMEOUT_MS = 5 * 60 * 1000;
+
+// What each fixture should produce in the dry-run report
+const EXPECTED = {
+  '0000001': { status: 'new', bedsAdded: ['N1', 'N2', 'S1'], shapesRepaired: 0 },
+  '0000002': { status: 'failed', error: 'No data to insert' },
+  '0000003': { status: 'fetch failed', error: 'Contract not found' },
+  '0000004': { status: 'new', bedsAdded: ['H1'] },                        // 503s, then 200
+  '0000005': { status: 'new', bedsAdded: ['P1'], rejectedRecords: 1 },   // one invalid record
+  '0000006': { status: 'fetch failed', error: 'Internal Server Error' },
+  '0000007': { status: 'new', bedsAdded: ['D1'] },
+  '0000008': { status: 'new', bedsAdded: ['X1'] },
+  '0000009': { status: 'new', bedsAdded: ['O1'] },
+  '0000010': { status: 'new', bedsAdded: ['W1', 'W2'], shapesRepaired: 2 },  // every shape lat,lon
+  '0000011': {                                                              // one bed per repair path
+    status: 'new',
+    bedsAdded: ['R1', 'R2', 'R3', 'R4'],
+    rejectedRecords: 1,
+    shapesRepaired: 3,
+    invalidShapes: ['R4']
+  }
+};
+
+/**
+ * Connect to the .env database once. Returns null if it is reachable, else
+ * the connection error message.
+ */
+async function databaseError() {
+  const client = new pg.Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+  try {
+    await client.connect();
+    return null;
+  } catch (err) {
+    return err.message;
+  } finally {
+    await client.end().catch(() => {});
+  }
+}
+
+/**
+ * Run fetchContracts.js with the given arguments.
+ * Returns { code, output }
+ */
+function runFetch(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [FETCH_SCRIPT, ...args], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: RUN_TIMEOUT_MS
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('error', reject);
+    child.on('close', (code, signal) => resolve({ code: signal ? signal : code, output }));
+  });
+}
+
+/** Repaired shape count from a contract's "DRY RUN OK" line, 0 if none */
+function shapesRepaired(output, contractNumber) {
+  const line = output.split('\n').find(l => l.includes(`DRY RUN OK: ${contractNumber} `));
+  const match = line?.match(/shape\(s\) \((\d+) repaired\)/);
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Check one contract's report entry (and its console output) against EXPECTED
+ */
+function checkContract(entry, expected, output) {
+  const label = `${entry.contractNumber} (${entry.cropYear})`;
+  assert.strictEqual(entry.status, expected.status, `${label}: status`);
+  if (expected.error) {
+    assert.strictEqual(entry.error, expected.error, `${label}: error`);
+  } else {
+    assert.strictEqual(entry.error, null, `${label}: unexpected error`);
+  }
+  assert.deepStrictEqual(
+    entry.bedsAdded.map(bed => bed.bedName).sort(),
+    expected.bedsAdded ?? [],
+    `${label}: beds added`
+  );
+  assert.strictEqual(entry.rejectedRecords, expected.rejectedRecords ?? 0, `${label}: quarantined records`);
+  assert.deepStrictEqual(
+    entry.invalidShapes.map(shape => shape.bedName).sort(),
+    expected.invalidShapes ?? [],
+    `${label}: shapes stored without geometry`
+  );
+  if (expected.shapesRepaired !== undefined) {
+    assert.strictEqual(shapesRepaired(output, entry.contractNumber), expected.shapesRepaired, `${label}: shapes repaired`);
+  }
+}
+
+const unreachable = await databaseError();
+if (unreachable) {
+  console.log(`⏭️  Skipping fetch contracts test: no database reachable (${unreachable})`);
+  console.log('   Set DB_HOST, DB_PORT, DB_NAME, DB_USER and DB_PASSWORD in .env to run it.');
+  process.exit(0);
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'growers-test-'));
+const server = createMockServer({ fixturesDir: FIXTURES_DIR, token: 'test', log: () => {} });
+
+let failed = false;
+try {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const apiUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  const reportFile = path.join(tmpDir, 'dry_run_report.json');
+
+  console.log(`🧪 fetch-contracts --dry-run against ${apiUrl}`);
+  const { code, output } = await runFetch([
+    '--dry-run',
+    '--api-url', apiUrl,
+    '--token', 'test',
+    '--contracts-file', path.join(FIXTURES_DIR, 'contracts.txt'),
+    '--year', String(CROP_YEAR),
+    '--grower-list', path.join(tmpDir, 'no-grower-list.json'),
+    '--data-dir', path.join(tmpDir, 'data'),
+    '--quarantine-dir', path.join(tmpDir, 'quarantine'),
+    '--report', reportFile,
+    '--rate', '0',
+    '--concurrency', '1'
+  ]);
+
+  if (code !== 0 || !fs.existsSync(reportFile)) {
+    console.error(output);
+    throw new Error(`fetchContracts.js exited with ${code}${fs.existsSync(reportFile) ? '' : ' and wrote no report'}`);
+  }
+
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+  const contracts = new Map(report.contracts.map(entry => [entry.contractNumber, entry]));
+  assert.deepStrictEqual([...contracts.keys()].sort(), Object.keys(EXPECTED).sort(), 'contracts in report');
+
+  for (const [contractNumber, expected] of Object.entries(EXPECTED)) {
+    const entry = contracts.get(contractNumber);
+    try {
+      checkContract(entry, expected, output);
+      console.log(`   ✅ ${contractNumber}: ${entry.status}`);
+    } catch (err) {
+      failed = true;
+      console.error(`   ❌ ${err.message}`);
+    }
+  }
+} catch (err) {
+  failed = true;
+  console.error(`❌ ${err.message}`);
+} finally {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+console.log(failed ? '\n❌ Fetch contracts test failed' : '\n✅ Fetch contracts test passed');
+process.exit(failed ? 1 : 0);
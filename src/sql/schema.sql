@@ -8,8 +8,8 @@
 --   psql -d growers -f schema.sql
 --   (or use full path to psql if not in PATH)
 
--- Enable PostGIS extension for geometry support (optional, if you want to use native geometry types)
--- CREATE EXTENSION IF NOT EXISTS postgis;
+-- Enable PostGIS extension for geometry support (shapes.geom)
+CREATE EXTENSION IF NOT EXISTS postgis;
 
 -- Farms table (grower organizations)
 CREATE TABLE IF NOT EXISTS farms (
@@ -20,6 +20,11 @@ CREATE TABLE IF NOT EXISTS farms (
     email VARCHAR(255),
     phone_number VARCHAR(50),
 
+    -- Grower identity used to match contracts to an existing farm during
+    -- ingest: bp:<business partner id> when the grower list has one, else the
+    -- normalised grower name (a heuristic, so not unique)
+    grower_key VARCHAR(255),
+
     -- Metadata
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -48,6 +53,22 @@ CREATE TABLE IF NOT EXISTS farm_addresses (
     UNIQUE (farm_id, street, city, state, postal_code)
 );
 
+-- Raw API payloads (the full /bog/{contractNumber} response of each ingest)
+-- Query fields that are not normalized yet with jsonb_array_elements(payload)
+CREATE TABLE IF NOT EXISTS raw_payloads (
+    id SERIAL PRIMARY KEY,
+    contract_number VARCHAR(20) NOT NULL,
+    crop_year INTEGER,
+    payload JSONB NOT NULL,
+    payload_hash VARCHAR(64),
+    record_count INTEGER,
+    source VARCHAR(20),                   -- 'api' or 'offline'
+    fetch_run_id UUID,                    -- fetch_runs.run_id
+
+    -- Metadata
+    fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Contracts table
 CREATE TABLE IF NOT EXISTS contracts (
     id SERIAL PRIMARY KEY,
@@ -56,6 +77,13 @@ CREATE TABLE IF NOT EXISTS contracts (
     farm_id INTEGER REFERENCES farms(id) ON DELETE CASCADE,
     crop_year INTEGER,
 
+    -- SHA-256 of the API payload last ingested for this contract/year;
+    -- an identical payload is skipped on the next fetch
+    payload_hash VARCHAR(64),
+
+    -- Raw payload the contract was last ingested from
+    raw_payload_id INTEGER REFERENCES raw_payloads(id) ON DELETE SET NULL,
+
     -- Metadata
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -70,6 +98,9 @@ CREATE TABLE IF NOT EXISTS bed_blocks (
     contract_id INTEGER NOT NULL REFERENCES contracts(id) ON DELETE CASCADE,
     name VARCHAR(100),
 
+    -- Set when the block no longer appears in the contract's API payload
+    retired_at TIMESTAMP,
+
     -- Metadata
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -98,6 +129,15 @@ CREATE TABLE IF NOT EXISTS beds (
     fruit_type_processed BOOLEAN DEFAULT FALSE,
     fruit_type_white BOOLEAN DEFAULT FALSE,
 
+    -- Set when the bed no longer appears in the contract's API payload
+    retired_at TIMESTAMP,
+
+    -- Raw payload the bed was last ingested from
+    raw_payload_id INTEGER REFERENCES raw_payloads(id) ON DELETE SET NULL,
+
+    -- Geodesic area of the bed's polygon(s) in acres, set by npm run check-areas
+    computed_acres DECIMAL(10, 4),
+
     -- Metadata
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -113,12 +153,56 @@ CREATE TABLE IF NOT EXISTS shapes (
     shape_type VARCHAR(50),
     shape_value TEXT,
 
+    -- shape_value as a PostGIS polygon (WGS 84), set during ingest
+    geom geometry(Polygon, 4326),
+
+    -- Metadata
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bed history table (field-level changes to beds between fetches)
+CREATE TABLE IF NOT EXISTS bed_history (
+    id SERIAL PRIMARY KEY,
+    bed_id INTEGER REFERENCES beds(id) ON DELETE SET NULL,
+    api_bed_history_id INTEGER NOT NULL,
+    field_name VARCHAR(50) NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+
+    -- Contract of the bed, kept when the bed itself is deleted
+    contract_id INTEGER REFERENCES contracts(id) ON DELETE SET NULL,
+
+    -- Fetch run that made the change (fetch_runs.run_id)
+    fetch_run_id UUID,
+
+    -- Metadata
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Fetch runs table (one row per contract processed by each npm start run)
+CREATE TABLE IF NOT EXISTS fetch_runs (
+    id SERIAL PRIMARY KEY,
+    run_id UUID NOT NULL,
+    mode VARCHAR(20) NOT NULL,            -- 'api' or 'offline'
+    contract_number VARCHAR(20) NOT NULL,
+    crop_year INTEGER,
+    http_status INTEGER,
+    record_count INTEGER,
+    attempts INTEGER DEFAULT 1,
+    api_success BOOLEAN NOT NULL,
+    db_success BOOLEAN NOT NULL,
+    unchanged BOOLEAN DEFAULT FALSE,      -- payload matched the last ingest, DB writes skipped
+    db_stats JSONB,
+    rejected_records INTEGER DEFAULT 0,
+    error TEXT,
+
     -- Metadata
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_farms_name ON farms(name);
+CREATE INDEX IF NOT EXISTS idx_farms_grower_key ON farms(grower_key);
 
 CREATE INDEX IF NOT EXISTS idx_farm_addresses_farm_id ON farm_addresses(farm_id);
 CREATE INDEX IF NOT EXISTS idx_farm_addresses_city ON farm_addresses(city);
@@ -129,6 +213,9 @@ CREATE INDEX IF NOT EXISTS idx_contracts_api_contract_id ON contracts(api_contra
 CREATE INDEX IF NOT EXISTS idx_contracts_contract_number ON contracts(contract_number);
 CREATE INDEX IF NOT EXISTS idx_contracts_farm_id ON contracts(farm_id);
 CREATE INDEX IF NOT EXISTS idx_contracts_crop_year ON contracts(crop_year);
+CREATE INDEX IF NOT EXISTS idx_contracts_raw_payload_id ON contracts(raw_payload_id);
+
+CREATE INDEX IF NOT EXISTS idx_raw_payloads_contract ON raw_payloads(contract_number, crop_year, fetched_at);
 
 CREATE INDEX IF NOT EXISTS idx_bed_blocks_contract_id ON bed_blocks(contract_id);
 CREATE INDEX IF NOT EXISTS idx_bed_blocks_name ON bed_blocks(name);
@@ -138,8 +225,19 @@ CREATE INDEX IF NOT EXISTS idx_beds_contract_id ON beds(contract_id);
 CREATE INDEX IF NOT EXISTS idx_beds_bed_block_id ON beds(bed_block_id);
 CREATE INDEX IF NOT EXISTS idx_beds_farm_address_id ON beds(farm_address_id);
 CREATE INDEX IF NOT EXISTS idx_beds_variety ON beds(variety);
+CREATE INDEX IF NOT EXISTS idx_beds_retired_at ON beds(retired_at);
+CREATE INDEX IF NOT EXISTS idx_beds_raw_payload_id ON beds(raw_payload_id);
 
 CREATE INDEX IF NOT EXISTS idx_shapes_bed_id ON shapes(bed_id);
+CREATE INDEX IF NOT EXISTS idx_shapes_geom ON shapes USING GIST (geom);
+
+CREATE INDEX IF NOT EXISTS idx_bed_history_bed_id ON bed_history(bed_id);
+CREATE INDEX IF NOT EXISTS idx_bed_history_api_bed_history_id ON bed_history(api_bed_history_id);
+CREATE INDEX IF NOT EXISTS idx_bed_history_fetch_run_id ON bed_history(fetch_run_id);
+CREATE INDEX IF NOT EXISTS idx_bed_history_contract_id ON bed_history(contract_id);
+
+CREATE INDEX IF NOT EXISTS idx_fetch_runs_run_id ON fetch_runs(run_id);
+CREATE INDEX IF NOT EXISTS idx_fetch_runs_contract ON fetch_runs(contract_number, crop_year);
 
 -- Trigger to automatically update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -213,6 +311,27 @@ LEFT JOIN farms f ON c.farm_id = f.id
 LEFT JOIN shapes s ON b.id = s.bed_id
 GROUP BY b.id, c.contract_number, c.crop_year, bb.name, f.id, f.name;
 
+-- View with one geometry per active bed: all of its shapes as a MultiPolygon
+CREATE OR REPLACE VIEW bed_geometries AS
+SELECT
+    b.id as bed_id,
+    b.api_bed_history_id,
+    b.bed_name,
+    b.acres,
+    c.id as contract_id,
+    c.contract_number,
+    c.crop_year,
+    c.farm_id,
+    COUNT(s.id) as shape_count,
+    ST_Multi(ST_Collect(s.geom ORDER BY s.id)) as geom
+FROM beds b
+JOIN contracts c ON b.contract_id = c.id
+JOIN shapes s ON b.id = s.bed_id AND s.geom IS NOT NULL
+WHERE b.retired_at IS NULL
+GROUP BY b.id, c.id;
+
+-- Summary views only count active beds (retired_at IS NULL)
+
 -- Summary view for contracts
 CREATE OR REPLACE VIEW contract_summary AS
 SELECT
@@ -231,7 +350,7 @@ SELECT
     MAX(b.plant_date) as latest_plant_date
 FROM contracts c
 LEFT JOIN farms f ON c.farm_id = f.id
-LEFT JOIN beds b ON c.id = b.contract_id
+LEFT JOIN beds b ON c.id = b.contract_id AND b.retired_at IS NULL
 LEFT JOIN bed_blocks bb ON b.bed_block_id = bb.id
 GROUP BY c.id, c.api_contract_id, c.contract_number, c.crop_year, f.id, f.name
 ORDER BY c.contract_number, c.crop_year;
@@ -248,7 +367,7 @@ SELECT
     MAX(c.crop_year) as latest_crop_year
 FROM farms f
 LEFT JOIN contracts c ON f.id = c.farm_id
-LEFT JOIN beds b ON c.id = b.contract_id
+LEFT JOIN beds b ON c.id = b.contract_id AND b.retired_at IS NULL
 LEFT JOIN bed_blocks bb ON b.bed_block_id = bb.id
 GROUP BY f.id
 ORDER BY f.name;
@@ -266,6 +385,24 @@ SELECT
     COUNT(DISTINCT b.variety) as variety_count
 FROM bed_blocks bb
 JOIN contracts c ON bb.contract_id = c.id
-LEFT JOIN beds b ON bb.id = b.bed_block_id
+LEFT JOIN beds b ON bb.id = b.bed_block_id AND b.retired_at IS NULL
+WHERE bb.retired_at IS NULL
 GROUP BY bb.id, bb.name, c.id, c.contract_number, c.crop_year
 ORDER BY c.contract_number, bb.name;
+
+-- View tracing each bed to its record in the raw payload it was last ingested from
+CREATE OR REPLACE VIEW bed_raw_records AS
+SELECT
+    b.id as bed_id,
+    b.api_bed_history_id,
+    c.contract_number,
+    c.crop_year,
+    r.id as raw_payload_id,
+    r.fetched_at,
+    r.fetch_run_id,
+    rec.record
+FROM beds b
+JOIN contracts c ON b.contract_id = c.id
+JOIN raw_payloads r ON b.raw_payload_id = r.id
+CROSS JOIN LATERAL jsonb_array_elements(r.payload) AS rec(record)
+WHERE rec.record->'BedHistoryId' = to_jsonb(b.api_bed_history_id);
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isRetryableError } from '../src/lib/apiClient.js';
+
+function networkError(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+test('isRetryableError retries rate limits and server errors', () => {
+  for (const status of [408, 429, 500, 502, 503, 504]) {
+    assert.equal(isRetryableError({ response: { status } }), true, String(status));
+  }
+  for (const status of [400, 401, 403, 404]) {
+    assert.equal(isRetryableError({ response: { status } }), false, String(status));
+  }
+});
+
+test('isRetryableError retries timeouts and network errors only', () => {
+  for (const code of ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN']) {
+    assert.equal(isRetryableError(networkError(code)), true, code);
+  }
+  assert.equal(isRetryableError(networkError('ENOTFOUND')), false);
+  assert.equal(isRetryableError(networkError('ERR_INVALID_URL')), false);
+  assert.equal(isRetryableError(new TypeError('Cannot read properties of undefined')), false);
+});
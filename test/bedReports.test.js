@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFilters, csvValue, parseDistance, parseYear } from '../src/lib/bedReports.js';
+
+test('buildFilters matches contracts, farms by id or name, and years', () => {
+  const params = ['first'];
+  const filters = buildFilters({ contract: '0000001', farm: 'Smith', year: '2025' }, params);
+  assert.equal(filters, 'AND c.contract_number = $2 AND f.name ILIKE $3 AND c.crop_year = $4');
+  assert.deepEqual(params, ['first', '0000001', '%Smith%', 2025]);
+
+  const byId = [];
+  assert.equal(buildFilters({ farm: '12' }, byId), 'AND f.id = $1');
+  assert.deepEqual(byId, [12]);
+  assert.equal(buildFilters({}, []), '');
+});
+
+test('buildFilters matches any of several columns', () => {
+  const params = [];
+  const filters = buildFilters({ contract: '0000001', farm: 'Smith' }, params, {
+    contract: ['ca.contract_number', 'cb.contract_number'],
+    farmName: ['fa.name', 'fb.name']
+  });
+  assert.equal(filters, 'AND $1 IN (ca.contract_number, cb.contract_number) AND (fa.name ILIKE $2 OR fb.name ILIKE $2)');
+});
+
+test('buildFilters and parseYear reject malformed years', () => {
+  assert.equal(parseYear(undefined), undefined);
+  assert.equal(parseYear('2025'), 2025);
+  for (const year of ['20x5', '25', '', '2025.0']) {
+    assert.throws(() => parseYear(year), /--year must be a 4-digit year/, year);
+  }
+  assert.throws(() => buildFilters({ year: '20x5' }, []), /--year must be a 4-digit year/);
+});
+
+test('parseDistance reads units with a default', () => {
+  assert.deepEqual(parseDistance('25', 'ft', 'buffer'), { value: 25, unit: 'ft', meters: 25 * 0.3048 });
+  assert.deepEqual(parseDistance('2 KM', 'mi', 'radius'), { value: 2, unit: 'km', meters: 2000 });
+  assert.throws(() => parseDistance('0', 'ft', 'buffer'), /--buffer must be a positive distance/);
+  assert.throws(() => parseDistance('5yd', 'mi', 'radius'), /--radius must be a positive distance/);
+});
+
+test('csvValue quotes text and leaves numbers and blanks bare', () => {
+  assert.equal(csvValue('say "hi", then'), '"say ""hi"", then"');
+  assert.equal(csvValue(4.2), '4.2');
+  assert.equal(csvValue(null), '');
+  assert.equal(csvValue(undefined), '');
+});
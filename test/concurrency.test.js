@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runPool, sleep, withRetry } from '../src/lib/concurrency.js';
+
+test('runPool keeps result order and the concurrency limit', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const results = await runPool([30, 10, 20, 5, 15], 2, async (ms, index) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await sleep(ms);
+    inFlight--;
+    return `${index}:${ms}`;
+  });
+  assert.deepEqual(results, ['0:30', '1:10', '2:20', '3:5', '4:15']);
+  assert.equal(maxInFlight, 2);
+  assert.deepEqual(await runPool([], 4, async () => 1), []);
+});
+
+test('withRetry retries until fn succeeds', async () => {
+  const retries = [];
+  const result = await withRetry(async (attempt) => {
+    if (attempt < 3) throw new Error(`fail ${attempt}`);
+    return 'ok';
+  }, { baseDelayMs: 1, onRetry: (error, attempt) => retries.push(attempt) });
+  assert.deepEqual(result, { value: 'ok', attempts: 3 });
+  assert.deepEqual(retries, [1, 2]);
+});
+
+test('withRetry gives up after `retries` retries', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => { calls++; throw new Error('down'); }, { retries: 2, baseDelayMs: 1 }),
+    error => error.message === 'down' && error.attempts === 3
+  );
+  assert.equal(calls, 3);
+});
+
+test('withRetry does not retry errors isRetryable rejects', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => { calls++; throw new TypeError('bug'); }, { baseDelayMs: 1, isRetryable: () => false }),
+    error => error instanceof TypeError && error.attempts === 1
+  );
+  assert.equal(calls, 1);
+});
+
+test('withRetry waits for the server-provided delay', async () => {
+  const delays = [];
+  await withRetry(async (attempt) => {
+    if (attempt === 1) throw new Error('busy');
+  }, { baseDelayMs: 1000, retryAfterMs: () => 5, onRetry: (error, attempt, delayMs) => delays.push(delayMs) });
+  assert.deepEqual(delays, [5]);
+});
+
+test('withRetry caps the server-provided delay at maxDelayMs', async () => {
+  const delays = [];
+  await withRetry(async (attempt) => {
+    if (attempt < 3) throw new Error('busy');
+  }, {
+    maxDelayMs: 20,
+    retryAfterMs: () => 3600 * 1000,
+    onRetry: (error, attempt, delayMs) => delays.push(delayMs)
+  });
+  assert.deepEqual(delays, [20, 20]);
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCropYears } from '../src/lib/contractSources.js';
+
+test('parseCropYears reads years, ranges and lists', () => {
+  assert.deepEqual(parseCropYears('2024'), [2024]);
+  assert.deepEqual(parseCropYears('2020-2022'), [2020, 2021, 2022]);
+  assert.deepEqual(parseCropYears('2024, 2020 - 2021,2021'), [2020, 2021, 2024]);
+  assert.deepEqual(parseCropYears(''), []);
+});
+
+test('parseCropYears rejects malformed years and reversed ranges', () => {
+  assert.throws(() => parseCropYears('20x5'), /^Error: 20x5$/);
+  assert.throws(() => parseCropYears('2024,24'), /^Error: 24$/);
+  assert.throws(() => parseCropYears('2024-2020'), /range ends before it starts/);
+});
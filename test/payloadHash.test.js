@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalJson, hashPayload } from '../src/lib/payloadHash.js';
+
+test('canonicalJson sorts object keys at every level', () => {
+  assert.equal(canonicalJson({ b: 1, a: { d: [2, { f: 3, e: 4 }], c: null } }), '{"a":{"c":null,"d":[2,{"e":4,"f":3}]},"b":1}');
+  assert.equal(canonicalJson([undefined, 'x']), '[null,"x"]');
+});
+
+test('hashPayload ignores key order but not values', () => {
+  const payload = [{ ContractNumber: '0000001', Acres: 4.2 }];
+  const reordered = [{ Acres: 4.2, ContractNumber: '0000001' }];
+  assert.match(hashPayload(payload), /^[0-9a-f]{64}$/);
+  assert.equal(hashPayload(payload), hashPayload(reordered));
+  assert.notEqual(hashPayload(payload), hashPayload([{ ContractNumber: '0000001', Acres: 4.3 }]));
+  assert.notEqual(hashPayload(payload), hashPayload([...payload, ...payload]));
+});
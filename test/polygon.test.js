@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SHAPE_REGION, inspectShape, parsePolygon, shapeRegion } from '../src/lib/polygon.js';
+
+const SQUARE = '((-89.82,44.39),(-89.818,44.39),(-89.818,44.392),(-89.82,44.392))';
+const HOLE = '((-89.8195,44.3905),(-89.8185,44.3905),(-89.8185,44.3915),(-89.8195,44.3915))';
+
+test('parsePolygon reads a ring and a polygon with holes', () => {
+  assert.deepEqual(parsePolygon('((1,2),(3,4),(5,6))'), [[[1, 2], [3, 4], [5, 6]]]);
+  assert.deepEqual(parsePolygon(' ((1, 2), (3,4),(5,6)) '), [[[1, 2], [3, 4], [5, 6]]]);
+  assert.deepEqual(parsePolygon('(((1,2),(3,4),(5,6)),((7,8),(9,10),(11,12)))'), [
+    [[1, 2], [3, 4], [5, 6]],
+    [[7, 8], [9, 10], [11, 12]]
+  ]);
+});
+
+test('parsePolygon returns null for anything else', () => {
+  for (const value of [null, 42, '', '(1,2),(3,4)', '((1,2),(3))', '((1,x),(3,4),(5,6))', '((1,2),(3,4),(5,6)']) {
+    assert.equal(parsePolygon(value), null, JSON.stringify(value));
+  }
+});
+
+test('inspectShape closes PostgreSQL polygon text without reporting a repair', () => {
+  const { coordinates, repairs, problems } = inspectShape(SQUARE);
+  assert.deepEqual(repairs, []);
+  assert.deepEqual(problems, []);
+  assert.equal(coordinates[0].length, 5);
+  assert.deepEqual(coordinates[0][0], coordinates[0][4]);
+});
+
+test('inspectShape accepts a repeated closing point', () => {
+  const { repairs, problems } = inspectShape('((-89.82,44.39),(-89.818,44.39),(-89.818,44.392),(-89.82,44.39))');
+  assert.deepEqual(repairs, []);
+  assert.deepEqual(problems, []);
+});
+
+test('inspectShape winds the exterior counterclockwise and holes clockwise', () => {
+  const clockwise = '((-89.82,44.39),(-89.82,44.392),(-89.818,44.392),(-89.818,44.39))';
+  const { coordinates } = inspectShape(`(${clockwise},${HOLE})`);
+  const signedArea = ring => ring.slice(0, -1).reduce((sum, [x1, y1], i) => {
+    const [x2, y2] = ring[i + 1];
+    return sum + x1 * y2 - x2 * y1;
+  }, 0);
+  assert.ok(signedArea(coordinates[0]) > 0, 'exterior counterclockwise');
+  assert.ok(signedArea(coordinates[1]) < 0, 'hole clockwise');
+});
+
+test('inspectShape reports an open ring in a shape whose other rings are closed', () => {
+  const closed = '((-89.82,44.39),(-89.818,44.39),(-89.818,44.392),(-89.82,44.392),(-89.82,44.39))';
+  const { coordinates, repairs } = inspectShape(`(${closed},${HOLE})`);
+  assert.deepEqual(repairs, ['unclosed_ring']);
+  assert.equal(coordinates.length, 2);
+});
+
+test('inspectShape drops duplicate vertices', () => {
+  const { coordinates, repairs } = inspectShape('((-89.82,44.39),(-89.818,44.39),(-89.818,44.39),(-89.818,44.392),(-89.82,44.392))');
+  assert.deepEqual(repairs, ['duplicate_vertices']);
+  assert.equal(coordinates[0].length, 5);
+});
+
+test('inspectShape swaps lat/lon that are out of range or outside the growing region', () => {
+  const outOfRange = inspectShape('((44.39,-91.2),(44.39,-91.198),(44.392,-91.198),(44.392,-91.2))');
+  assert.deepEqual(outOfRange.repairs, ['swapped_coordinates']);
+  assert.deepEqual(outOfRange.coordinates[0][0], [-91.2, 44.39]);
+
+  const swapped = inspectShape('((44.39,-89.82),(44.39,-89.818),(44.392,-89.818),(44.392,-89.82))');
+  assert.deepEqual(swapped.repairs, ['swapped_coordinates']);
+  assert.deepEqual(swapped.coordinates[0][0], [-89.82, 44.39]);
+});
+
+test('inspectShape swaps lat/lon far from the reference point', () => {
+  // Inside a region covering both orders, only the farm location tells them apart
+  const region = [-180, -90, 180, 90];
+  const swapped = '((44.39,-89.82),(44.39,-89.818),(44.392,-89.818),(44.392,-89.82))';
+  assert.deepEqual(inspectShape(swapped, { region }).repairs, []);
+  assert.deepEqual(inspectShape(swapped, { region, reference: [-89.8, 44.4] }).repairs, ['swapped_coordinates']);
+});
+
+test('inspectShape rejects shapes it cannot repair', () => {
+  const cases = {
+    unparseable: 'not a polygon',
+    out_of_range: '((44.39,-189.82),(44.39,-189.818),(44.392,-189.818))',
+    too_few_points: '((-89.82,44.39),(-89.818,44.39),(-89.818,44.39))',
+    self_intersection: '((-90.288,44.15),(-90.286,44.152),(-90.286,44.15),(-90.288,44.152))',
+    zero_area: '((-89.82,44.39),(-89.818,44.39),(-89.816,44.39))',
+    hole_outside_exterior: `(${SQUARE},((-89.80,44.39),(-89.79,44.39),(-89.79,44.40)))`
+  };
+  for (const [problem, value] of Object.entries(cases)) {
+    const result = inspectShape(value);
+    assert.deepEqual(result.problems, [problem], problem);
+    assert.equal(result.coordinates, null, problem);
+  }
+});
+
+test('shapeRegion reads SHAPE_REGION_BBOX', () => {
+  assert.deepEqual(shapeRegion(undefined), DEFAULT_SHAPE_REGION);
+  assert.deepEqual(shapeRegion(' '), DEFAULT_SHAPE_REGION);
+  assert.deepEqual(shapeRegion('-93, 42, -86, 47'), [-93, 42, -86, 47]);
+  for (const value of ['-93,42,-86', '-86,42,-93,47', 'a,b,c,d', '-93,42,-86,147']) {
+    assert.throws(() => shapeRegion(value), /SHAPE_REGION_BBOX/, value);
+  }
+});
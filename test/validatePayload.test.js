@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateBedRecord, validateContractPayload } from '../src/lib/validatePayload.js';
+
+function bedRecord(overrides = {}) {
+  return {
+    ContractId: 900001,
+    ContractNumber: '0000001',
+    BedHistoryId: 5000101,
+    BogName: 'North Bog',
+    HandlerSectionName: 'N1',
+    Acres: 4.2,
+    Variety: 'Stevens',
+    PlantDate: '2012-05-15T00:00:00',
+    Address: { Street1: '1 Bog Road', Street2: null, City: 'Mather', State: 'WI', PostalCode: '54641', Country: 'USA' },
+    FruitType: { Export: false, GlobalGap: true, Organic: false, Processed: true, White: false },
+    Shape: [{ type: 'polygon', value: '((-89.82,44.39),(-89.818,44.39),(-89.818,44.392),(-89.82,44.392))' }],
+    ...overrides
+  };
+}
+
+test('validateContractPayload accepts well-formed records', () => {
+  const second = bedRecord({ BedHistoryId: 5000102, HandlerSectionName: 'N2', BogName: 'South Bog' });
+  const result = validateContractPayload([bedRecord(), second]);
+  assert.equal(result.error, null);
+  assert.equal(result.valid.length, 2);
+  assert.deepEqual(result.rejected, []);
+  assert.deepEqual(result.bedHistoryIds, [5000101, 5000102]);
+  assert.deepEqual(result.blockNames, ['North Bog', 'South Bog']);
+});
+
+test('validateContractPayload rejects a payload that is not a list of beds', () => {
+  assert.match(validateContractPayload({ message: 'oops' }).error, /Expected an array/);
+  assert.match(validateContractPayload([{ BogName: 'x' }]).error, /No record has a valid ContractId/);
+  assert.equal(validateContractPayload([]).error, null);
+});
+
+test('validateContractPayload quarantines malformed records but keeps them present', () => {
+  const bad = bedRecord({ BedHistoryId: 5000102, FruitType: { Organic: 'no' } });
+  const result = validateContractPayload([bedRecord(), bad]);
+  assert.equal(result.valid.length, 1);
+  assert.equal(result.rejected.length, 1);
+  assert.equal(result.rejected[0].index, 1);
+  assert.equal(result.rejected[0].bedHistoryId, 5000102);
+  assert.deepEqual(result.rejected[0].errors, ['FruitType.Organic: expected boolean, got string']);
+  assert.deepEqual(result.bedHistoryIds, [5000101, 5000102]);
+});
+
+test('validateContractPayload rejects duplicate BedHistoryIds', () => {
+  const result = validateContractPayload([bedRecord(), bedRecord()]);
+  assert.equal(result.valid.length, 1);
+  assert.deepEqual(result.rejected[0].errors, ['BedHistoryId: duplicate 5000101 in payload']);
+});
+
+test('validateBedRecord checks fields against the contract', () => {
+  const contract = bedRecord();
+  assert.deepEqual(validateBedRecord(bedRecord(), contract), []);
+  assert.deepEqual(validateBedRecord(bedRecord({ ContractId: 900002 }), contract), ['ContractId: 900002 differs from contract 900001']);
+  assert.deepEqual(validateBedRecord(bedRecord({ HandlerSectionName: ' ' }), contract), ['HandlerSectionName: expected non-empty string, got string']);
+  assert.deepEqual(validateBedRecord(bedRecord({ Acres: '4.2' }), contract), ['Acres: expected number, got string']);
+  assert.deepEqual(validateBedRecord(bedRecord({ PlantDate: 'someday' }), contract), ['PlantDate: expected date string, got "someday"']);
+  assert.deepEqual(validateBedRecord(bedRecord({ Address: null }), contract), ['Address: expected object, got null']);
+  assert.deepEqual(validateBedRecord(null, contract), ['record: expected object, got null']);
+});
+
+test('validateBedRecord checks shape values', () => {
+  assert.deepEqual(validateBedRecord(bedRecord({ Shape: null })), []);
+  assert.deepEqual(validateBedRecord(bedRecord({ Shape: 'x' })), ['Shape: expected array, got string']);
+  assert.deepEqual(
+    validateBedRecord(bedRecord({ Shape: [{ type: 'polygon', value: '((1,2),(3,4))' }] })),
+    ['Shape[0].value: not a polygon "((x,y),(x,y),...)" with 3+ points per ring']
+  );
+});